@@ -2,8 +2,8 @@
 // Add this script to the booking.html page to integrate with admin system
 
 function saveBookingToAdmin(bookingData) {
-    // Send booking to server API
-    fetch('/api/bookings', {
+    // Send booking to server API; resolves with { ok, data } so the caller can react to a taken slot
+    return fetch('/api/bookings', {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json'
@@ -12,21 +12,102 @@ function saveBookingToAdmin(bookingData) {
             customer_name: bookingData.name,
             customer_phone: bookingData.phone,
             customer_email: '', // Optional field
-            service_name: bookingData.service, // Save actual service name
+            service_id: parseInt(bookingData.service), // The catalogue id; the server snapshots name and price
             booking_date: bookingData.date,
             booking_time: bookingData.time,
             notes: bookingData.notes
         })
     })
-    .then(response => response.json())
-    .then(data => {
-        console.log('Booking saved to admin dashboard:', data);
+    .then(response => response.json().then(data => ({ ok: response.ok, data })))
+    .then(result => {
+        console.log('Booking saved to admin dashboard:', result.data);
+        return result;
     })
     .catch(error => {
         console.error('Error saving booking:', error);
+        return { ok: false, data: { error: 'Could not reach the booking server, please try again.' } };
     });
 }
 
+// Fill the service dropdown from the catalogue, grouped by category
+function loadServices() {
+    const serviceSelect = document.getElementById('service');
+
+    return fetch('/api/services')
+        .then(response => response.json())
+        .then(data => {
+            const items = data.items || [];
+            if (items.length === 0) {
+                serviceSelect.innerHTML = '<option disabled selected value="">No services available</option>';
+                return;
+            }
+
+            const categories = [...new Set(items.map(service => service.category || 'Other'))];
+            serviceSelect.innerHTML = '<option disabled selected value="">Select a Service</option>' + categories.map(category => `
+                <optgroup label="${category}">
+                    ${items.filter(service => (service.category || 'Other') === category).map(service => `
+                        <option value="${service.id}">${service.name} (${service.price_label})</option>
+                    `).join('')}
+                </optgroup>
+            `).join('');
+        })
+        .catch(error => {
+            console.error('Error loading services:', error);
+            serviceSelect.innerHTML = '<option disabled selected value="">Could not load services</option>';
+        });
+}
+
+// Fill the time dropdown with the free slots for the chosen service and date
+function loadAvailableSlots() {
+    const service = document.getElementById('service').value;
+    const date = document.getElementById('date').value;
+    const timeSelect = document.getElementById('time');
+
+    const setPlaceholder = (text) => {
+        timeSelect.innerHTML = `<option disabled selected value="">${text}</option>`;
+    };
+
+    if (!service || !date) {
+        setPlaceholder('Pick a service & date');
+        return Promise.resolve();
+    }
+
+    setPlaceholder('Loading times...');
+
+    return fetch(`/api/availability?service=${encodeURIComponent(service)}&date=${encodeURIComponent(date)}`)
+        .then(response => response.json())
+        .then(data => {
+            if (data.closed) {
+                setPlaceholder('Closed on this day');
+            } else if (!data.slots || data.slots.length === 0) {
+                setPlaceholder('No free times on this day');
+            } else {
+                setPlaceholder('Select a time');
+                data.slots.forEach(slot => {
+                    const option = document.createElement('option');
+                    option.value = slot;
+                    option.textContent = slot;
+                    timeSelect.appendChild(option);
+                });
+            }
+        })
+        .catch(error => {
+            console.error('Error loading availability:', error);
+            setPlaceholder('Could not load times');
+        });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const dateInput = document.getElementById('date');
+    const serviceSelect = document.getElementById('service');
+    if (!dateInput || !serviceSelect) return;
+
+    loadServices();
+    dateInput.min = new Date().toISOString().slice(0, 10);
+    dateInput.addEventListener('change', loadAvailableSlots);
+    serviceSelect.addEventListener('change', loadAvailableSlots);
+});
+
 // Enhanced booking validation function
 function validateAndBookWhatsApp() {
     const name = document.getElementById('name').value.trim();
@@ -80,10 +161,23 @@ function validateAndBookWhatsApp() {
         notes
     };
     
-    saveBookingToAdmin(bookingData);
-    
-    // Create WhatsApp message
-    const message = `Hello! I would like to book an appointment at Deny's Beauty World:\n\nName: ${name}\nPhone: ${phone}\nService: ${service}\nDate: ${date}\nTime: ${time}${notes ? `\nNotes: ${notes}` : ''}`;
+    saveBookingToAdmin(bookingData).then(result => {
+        if (!result.ok) {
+            showToast(result.data.error || 'That time is no longer available, please pick another.', 'error');
+            document.getElementById('time').classList.add('border-red-500');
+            loadAvailableSlots();
+            return;
+        }
+        // The message names the service (and its price) as the customer saw it in the list
+        const serviceLabel = document.getElementById('service').selectedOptions[0].textContent.trim();
+        redirectToWhatsApp({ ...bookingData, service: serviceLabel }, result.data.manage_url);
+    });
+}
+
+function redirectToWhatsApp({ name, phone, service, date, time, notes }, manageUrl) {
+    // Create WhatsApp message (with the customer's private link to reschedule or cancel)
+    const manageLink = manageUrl ? `\n\nManage my booking: ${window.location.origin}${manageUrl}` : '';
+    const message = `Hello! I would like to book an appointment at Deny's Beauty World:\n\nName: ${name}\nPhone: ${phone}\nService: ${service}\nDate: ${date}\nTime: ${time}${notes ? `\nNotes: ${notes}` : ''}${manageLink}`;
     
     // Create WhatsApp URL
     const whatsappUrl = `https://wa.me/2348167559196?text=${encodeURIComponent(message)}`;
@@ -96,7 +190,7 @@ function validateAndBookWhatsApp() {
     document.getElementById('phone').value = '';
     document.getElementById('service').selectedIndex = 0;
     document.getElementById('date').value = '';
-    document.getElementById('time').value = '';
+    document.getElementById('time').innerHTML = '<option disabled selected value="">Pick a service &amp; date</option>';
     document.getElementById('notes').value = '';
     
     // Wait 5 seconds before opening WhatsApp
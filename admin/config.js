@@ -1,12 +1,6 @@
 // Secure Admin Configuration
 const ADMIN_CONFIG = {
-    // Only these Google accounts can access admin panel
-    AUTHORIZED_EMAILS: [
-        'grantunuas@gmail.com',
-        'grantunua@gmail.com',
-        'grant.unua@gmail.com',
-        'grantunua.s@gmail.com'
-    ],
+    // Who may access the admin panel is decided by the server (ADMIN_EMAILS)
     
     // Auth0 Configuration
     AUTH0_DOMAIN: 'dev-i5b08jbmyiyg4g8s.us.auth0.com',
@@ -19,9 +13,18 @@ const ADMIN_CONFIG = {
 };
 
 // Security functions
-function isAuthorizedEmail(email) {
-    const normalizedEmail = email.toLowerCase().trim();
-    return ADMIN_CONFIG.AUTHORIZED_EMAILS.includes(normalizedEmail);
+// Exchanges an Auth0 ID token for a server session; resolves to the server's response
+function createServerSession(auth0Client) {
+    return auth0Client.getIdTokenClaims()
+        .then(claims => {
+            if (!claims || !claims.__raw) throw new Error('No ID token received');
+            return fetch('/api/admin/oidc-login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id_token: claims.__raw })
+            });
+        })
+        .then(response => response.json().then(data => ({ ok: response.ok, data })));
 }
 
 function checkLoginAttempts(email) {
@@ -0,0 +1,86 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('./database');
+const roles = require('./roles');
+
+// Every database change made while handling an API request is written to audit_log
+// with the acting admin (if any), the route, the IP and a field-by-field diff.
+const requestContext = new AsyncLocalStorage();
+
+// Tables that are logs themselves, or (media) bookkeeping derived from other tables
+const SKIP_TABLES = ['audit_log', 'notifications', 'media'];
+const IGNORED_FIELDS = ['id', 'version', 'created_at', 'updated_at'];
+const SECRET_FIELD = /password|token/;
+
+function auditValue(field, value) {
+    if (value === undefined) return null;
+    return SECRET_FIELD.test(field) ? '[redacted]' : value;
+}
+
+// { field: { from, to } } for every field that differs
+function diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    fields.forEach(field => {
+        if (IGNORED_FIELDS.includes(field)) return;
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (JSON.stringify(from) === JSON.stringify(to)) return;
+        changes[field] = { from: auditValue(field, from), to: auditValue(field, to) };
+    });
+    return changes;
+}
+
+// Whole-table writes are summarized by which ids disappeared or appeared
+function replaceSummary(before, after) {
+    const beforeIds = (before || []).map(record => record.id);
+    const afterIds = (after || []).map(record => record.id);
+    return {
+        count: { from: beforeIds.length, to: afterIds.length },
+        removed_ids: beforeIds.filter(id => !afterIds.includes(id)),
+        added_ids: afterIds.filter(id => !beforeIds.includes(id))
+    };
+}
+
+// The request path with secret route parameters (the manage and tracking tokens) left as
+// their :name, and without the query string, so the log never holds a usable token
+function auditPath(req) {
+    if (!req.route) return req.path;
+    return `${req.baseUrl}${req.route.path}`.replace(/:(\w+)/g, (match, name) =>
+        SECRET_FIELD.test(name) || req.params[name] === undefined ? match : encodeURIComponent(req.params[name])
+    );
+}
+
+function recordChange(change) {
+    const context = requestContext.getStore();
+    if (!context || SKIP_TABLES.includes(change.table)) return;
+
+    const { req } = context;
+    const admin = req.admin || null;
+
+    db.insert('audit_log', {
+        action: change.action,
+        table: change.table,
+        record_id: change.id,
+        changes: change.action === 'replace'
+            ? replaceSummary(change.before, change.after)
+            : diff(change.before, change.after),
+        admin_id: admin ? admin.id : null,
+        admin_email: admin ? admin.email : null,
+        role: admin ? roles.roleOf(admin) : null,
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+        path: auditPath(req),
+        ip: req.ip
+    });
+}
+
+db.onChange(recordChange);
+
+const audit = {
+    diff,
+
+    // Express middleware: remembers the request so changes made while handling it can be attributed
+    middleware: (req, res, next) => requestContext.run({ req }, next)
+};
+
+module.exports = audit;
@@ -0,0 +1,240 @@
+const db = require('./database');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Statuses that no longer hold a slot in the diary
+const NON_BLOCKING_STATUSES = ['cancelled'];
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// "installation=120,revamping=90" -> { installation: 120, revamping: 90 }
+function parseDurationMap(value) {
+    return parseList(value).reduce((map, entry) => {
+        const [key, minutes] = entry.split('=');
+        if (key && parseInt(minutes) > 0) {
+            map[key.trim()] = parseInt(minutes);
+        }
+        return map;
+    }, {});
+}
+
+// Opening hours, closed days and durations are configured from the environment. Dates and
+// times are salon-local, BUSINESS_UTC_OFFSET ahead of UTC, whatever the server's timezone.
+const config = {
+    utcOffset: process.env.BUSINESS_UTC_OFFSET || '+01:00',
+    openingTime: process.env.BUSINESS_OPEN || '09:00',
+    closingTime: process.env.BUSINESS_CLOSE || '19:00',
+    closedDays: parseList(process.env.CLOSED_DAYS || 'sun'),
+    closedDates: parseList(process.env.CLOSED_DATES),
+    slotInterval: parseInt(process.env.SLOT_INTERVAL_MINUTES) || 30,
+    defaultDuration: parseInt(process.env.DEFAULT_SERVICE_DURATION) || 60,
+    serviceDurations: parseDurationMap(process.env.SERVICE_DURATIONS),
+    capacity: parseInt(process.env.BOOKING_CAPACITY) || 1
+};
+
+function toMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    if (!match) return null;
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function isValidDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+function offsetMinutes() {
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(config.utcOffset);
+    if (!match) return 0;
+    const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+// A date string is already a salon-local day, so its weekday needs no offset
+function weekdayOf(date) {
+    return DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+// Hours for a given date, honouring BUSINESS_HOURS_<DAY>=10:00-16:00 overrides
+function getOpeningHours(date) {
+    const day = weekdayOf(date);
+    if (config.closedDays.includes(day) || config.closedDates.includes(date)) {
+        return null;
+    }
+
+    let open = config.openingTime;
+    let close = config.closingTime;
+    const override = process.env[`BUSINESS_HOURS_${day.toUpperCase()}`];
+    if (override) {
+        if (override.trim().toLowerCase() === 'closed') return null;
+        [open, close] = override.split('-').map(part => part.trim());
+    }
+
+    const openMinutes = toMinutes(open);
+    const closeMinutes = toMinutes(close);
+    if (openMinutes === null || closeMinutes === null || closeMinutes <= openMinutes) {
+        return null;
+    }
+    return { open: openMinutes, close: closeMinutes };
+}
+
+// Accepts "90", 90, "2 hours", "1.5h" or "45 mins"
+function parseDuration(value) {
+    if (typeof value === 'number') return value > 0 ? Math.round(value) : null;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(h|hr|hrs|hour|hours|m|min|mins|minutes)?\s*$/i.exec(value || '');
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    const unit = (match[2] || 'm').toLowerCase();
+    const minutes = unit.startsWith('h') ? amount * 60 : amount;
+    return minutes > 0 ? Math.round(minutes) : null;
+}
+
+function findService(serviceKey) {
+    if (serviceKey === undefined || serviceKey === null || serviceKey === '') return null;
+    const key = String(serviceKey).trim().toLowerCase();
+    return db.read('services').find(service =>
+        String(service.id) === key ||
+        (service.slug && service.slug.toLowerCase() === key) ||
+        (service.name && service.name.toLowerCase() === key)
+    ) || null;
+}
+
+// The service's own duration, else SERVICE_DURATIONS by slug (or the key given), else the default
+function getServiceDuration(serviceKey) {
+    const service = findService(serviceKey);
+    const fromService = service ? parseInt(service.duration_minutes) || parseDuration(service.duration) : null;
+    if (fromService) return fromService;
+
+    const key = service && service.slug ? service.slug : String(serviceKey || '').trim().toLowerCase();
+    return config.serviceDurations[key] || config.defaultDuration;
+}
+
+// Bookings made from the catalogue reference service_id; older ones only have the name
+function serviceKeyOf(booking) {
+    return booking.service_id || booking.service_name;
+}
+
+function bookingDuration(booking) {
+    return parseInt(booking.duration_minutes) || getServiceDuration(serviceKeyOf(booking));
+}
+
+// Bookings on a date that still occupy the diary, as minute ranges
+function getBusyRanges(date, excludeId) {
+    return db.read('bookings')
+        .filter(booking => booking.booking_date === date)
+        .filter(booking => !NON_BLOCKING_STATUSES.includes(booking.status))
+        .filter(booking => excludeId === undefined || booking.id != excludeId)
+        .map(booking => {
+            const start = toMinutes(booking.booking_time);
+            return start === null ? null : { start, end: start + bookingDuration(booking) };
+        })
+        .filter(Boolean);
+}
+
+function overlapCount(ranges, start, end) {
+    return ranges.filter(range => range.start < end && start < range.end).length;
+}
+
+// The salon's wall clock at `now`, read with the UTC getters
+function salonClock(now) {
+    return new Date(now.getTime() + offsetMinutes() * 60 * 1000);
+}
+
+function nowInMinutes(now) {
+    const clock = salonClock(now);
+    return clock.getUTCHours() * 60 + clock.getUTCMinutes();
+}
+
+function localDate(now) {
+    return salonClock(now).toISOString().slice(0, 10);
+}
+
+const availability = {
+    config,
+    offsetMinutes,
+    toMinutes,
+    isValidDate,
+    parseDuration,
+    findService,
+    getServiceDuration,
+    serviceKeyOf,
+
+    // Free start times for a service on a date
+    getAvailableSlots: (serviceKey, date, options = {}) => {
+        const now = options.now || new Date();
+        const duration = getServiceDuration(serviceKey);
+        const hours = getOpeningHours(date);
+        const result = { date, service: serviceKey, duration, slots: [] };
+
+        if (!hours) {
+            return { ...result, closed: true };
+        }
+
+        const today = localDate(now);
+        if (date < today) {
+            return { ...result, open: toTime(hours.open), close: toTime(hours.close) };
+        }
+
+        const busy = getBusyRanges(date, options.excludeId);
+        const earliest = date === today ? nowInMinutes(now) : 0;
+
+        for (let start = hours.open; start + duration <= hours.close; start += config.slotInterval) {
+            if (start <= earliest) continue;
+            if (overlapCount(busy, start, start + duration) < config.capacity) {
+                result.slots.push(toTime(start));
+            }
+        }
+
+        return { ...result, open: toTime(hours.open), close: toTime(hours.close) };
+    },
+
+    // Returns { ok: true, duration } or { ok: false, reason, message }
+    checkSlot: ({ service, date, time, excludeId, now = new Date() }) => {
+        const start = toMinutes(time);
+        if (!isValidDate(date) || start === null) {
+            return { ok: false, reason: 'invalid', message: 'A valid booking date and time are required' };
+        }
+
+        const hours = getOpeningHours(date);
+        if (!hours) {
+            return { ok: false, reason: 'closed', message: `We are closed on ${date}` };
+        }
+
+        const today = localDate(now);
+        if (date < today || (date === today && start <= nowInMinutes(now))) {
+            return { ok: false, reason: 'past', message: 'The requested time has already passed' };
+        }
+
+        const duration = getServiceDuration(service);
+        if (start < hours.open || start + duration > hours.close) {
+            return {
+                ok: false,
+                reason: 'out_of_hours',
+                message: `Appointments on ${date} must fit between ${toTime(hours.open)} and ${toTime(hours.close)}`
+            };
+        }
+
+        const busy = getBusyRanges(date, excludeId);
+        if (overlapCount(busy, start, start + duration) >= config.capacity) {
+            return { ok: false, reason: 'conflict', message: 'That time slot is already booked' };
+        }
+
+        return { ok: true, duration };
+    }
+};
+
+module.exports = availability;
@@ -0,0 +1,372 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const db = require('./database');
+const media = require('./media');
+const tar = require('./tar');
+const { name: appName, version: appVersion } = require('./package.json');
+
+// Backups of every table and the uploads its records point at, as .tar.gz archives in
+// BACKUP_DIR. The tables are read as one snapshot, so the archive is consistent even while
+// the site is in use. manifest.json comes first in each archive and lists every file with
+// its size and SHA-256; restores check the whole archive against it before touching
+// anything. Scheduled backups rotate (the newest BACKUP_RETENTION are kept); manual and
+// pre-restore backups stay until they are deleted.
+const uploadsDir = path.join(__dirname, 'uploads');
+
+const config = {
+    dir: process.env.BACKUP_DIR ? path.resolve(process.env.BACKUP_DIR) : path.join(__dirname, 'backups'),
+    // 0 turns scheduled backups off
+    intervalHours: process.env.BACKUP_INTERVAL_HOURS !== undefined ? parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0 : 24,
+    retention: parseInt(process.env.BACKUP_RETENTION) || 14,
+    checkMinutes: 15
+};
+
+const FORMAT = 1;
+const KINDS = ['manual', 'scheduled', 'pre-restore'];
+const MANIFEST = 'manifest.json';
+const EXTENSION = '.tar.gz';
+const ID_PATTERN = new RegExp(`^backup-\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z-(${KINDS.join('|')})$`);
+
+// One backup or restore at a time, so a restore can't run while its safety backup is taken
+let running = false;
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+function fileFor(id) {
+    return path.join(config.dir, `${id}${EXTENSION}`);
+}
+
+function kindOf(id) {
+    return ID_PATTERN.exec(id)[1];
+}
+
+// Names of the files in uploads/ that the snapshot's records point at
+function referencedUploads(data) {
+    const names = new Set();
+    Object.keys(media.MEDIA_FIELDS).forEach(table => {
+        (data[table] || []).forEach(record => {
+            media.urlsOf(table, record).forEach(url => names.add(path.basename(url)));
+        });
+    });
+    return [...names].sort();
+}
+
+async function exclusive(fn) {
+    if (running) {
+        return { ok: false, status: 409, message: 'A backup or restore is already running, try again shortly' };
+    }
+    running = true;
+    try {
+        return await fn();
+    } finally {
+        running = false;
+    }
+}
+
+async function createArchive({ kind, admin }) {
+    await fs.ensureDir(config.dir);
+    const createdAt = new Date();
+    const id = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}-${kind}`;
+
+    const data = db.snapshot();
+    const tables = db.tables.map(table => {
+        const content = Buffer.from(JSON.stringify(data[table] || [], null, 2) + '\n');
+        return { table, path: `data/${table}.json`, records: (data[table] || []).length, size: content.length, sha256: sha256(content), content };
+    });
+
+    // Files that have gone missing from uploads/ are listed, not fatal: the records
+    // pointing at them are already broken and the rest is still worth keeping
+    const files = [];
+    const missingFiles = [];
+    for (const name of referencedUploads(data)) {
+        const file = path.join(uploadsDir, name);
+        try {
+            const stat = await fs.stat(file);
+            files.push({ path: `uploads/${name}`, file, size: stat.size, sha256: await hashFile(file), mtime: stat.mtime });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            missingFiles.push(`/uploads/${name}`);
+        }
+    }
+
+    const manifest = {
+        format: FORMAT,
+        id,
+        kind,
+        app: appName,
+        app_version: appVersion,
+        storage_backend: db.backend,
+        created_at: createdAt.toISOString(),
+        created_by: admin ? { id: admin.id, email: admin.email } : null,
+        tables: tables.map(({ content, ...table }) => table),
+        files: files.map(({ path: filePath, size, sha256: hash }) => ({ path: filePath, size, sha256: hash })),
+        missing_files: missingFiles
+    };
+
+    async function* entries() {
+        yield { name: MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2) + '\n'), mtime: createdAt };
+        for (const table of tables) {
+            yield { name: table.path, data: table.content, mtime: createdAt };
+        }
+        for (const file of files) {
+            const content = await fs.readFile(file.file);
+            // Uploads are never edited in place, so a change means something is wrong
+            if (sha256(content) !== file.sha256) {
+                throw new Error(`${file.path} changed while it was being backed up`);
+            }
+            yield { name: file.path, data: content, mtime: file.mtime };
+        }
+    }
+
+    const archive = fileFor(id);
+    await tar.create(archive, entries());
+    const { size } = await fs.stat(archive);
+    return summary(id, manifest, size);
+}
+
+function summary(id, manifest, size) {
+    return {
+        id,
+        kind: kindOf(id),
+        created_at: manifest.created_at,
+        created_by: manifest.created_by,
+        size,
+        records: manifest.tables.reduce((total, table) => total + table.records, 0),
+        tables: manifest.tables.length,
+        files: manifest.files.length,
+        missing_files: (manifest.missing_files || []).length
+    };
+}
+
+async function readManifest(file) {
+    let manifest = null;
+    await tar.read(file, (name, data) => {
+        if (name === MANIFEST) manifest = JSON.parse(data.toString('utf8'));
+        return false;
+    });
+    if (!manifest) {
+        throw new Error(`The archive does not start with ${MANIFEST}`);
+    }
+    return manifest;
+}
+
+// Reads a whole archive and checks it against its manifest. onFile(path, data) sees each
+// file that matches its checksum, for restores to stage. Resolves to
+// { ok, manifest, problems } where problems lists everything that doesn't add up.
+async function inspect(file, onFile = () => {}) {
+    const problems = [];
+    const seen = new Set();
+    const rejected = new Set();
+    let manifest = null;
+    let expected = null;
+
+    try {
+        await tar.read(file, async (name, data) => {
+            if (!manifest) {
+                if (name !== MANIFEST) throw new Error(`The archive does not start with ${MANIFEST}`);
+                manifest = JSON.parse(data.toString('utf8'));
+                if (manifest.format !== FORMAT || !Array.isArray(manifest.tables) || !Array.isArray(manifest.files)) {
+                    throw new Error('The manifest is not one this version can restore');
+                }
+                expected = new Map([...manifest.tables, ...manifest.files].map(item => [item.path, item]));
+                return;
+            }
+
+            const item = expected.get(name);
+            if (!item) {
+                problems.push(`${name} is not in the manifest`);
+            } else if (seen.has(name) || rejected.has(name)) {
+                problems.push(`${name} appears more than once`);
+            } else if (data.length !== item.size || sha256(data) !== item.sha256) {
+                rejected.add(name);
+                problems.push(`${name} does not match its checksum`);
+            } else {
+                seen.add(name);
+                await onFile(name, data);
+            }
+        });
+    } catch (error) {
+        problems.push(error.message);
+    }
+
+    if (expected) {
+        expected.forEach((item, name) => {
+            if (!seen.has(name) && !rejected.has(name)) {
+                problems.push(`${name} is missing from the archive`);
+            }
+        });
+        manifest.tables.forEach(table => {
+            if (!db.tables.includes(table.table) || table.path !== `data/${table.table}.json`) {
+                problems.push(`Unknown table "${table.table}"`);
+            }
+        });
+        manifest.files.forEach(item => {
+            if (!/^uploads\/[^/\\]+$/.test(item.path) || ['uploads/.', 'uploads/..'].includes(item.path)) {
+                problems.push(`${item.path} is not an uploads/ file`);
+            }
+        });
+    }
+    return { ok: problems.length === 0, manifest, problems };
+}
+
+const backup = {
+    config,
+    KINDS,
+
+    isId: (id) => ID_PATTERN.test(String(id || '')),
+
+    // Archive path for a backup id, or null when there is no such backup
+    find: (id) => {
+        if (!backup.isId(id)) return null;
+        const file = fileFor(id);
+        return fs.existsSync(file) ? file : null;
+    },
+
+    // Backups, newest first. An archive whose manifest can't be read is listed with an error.
+    list: async () => {
+        await fs.ensureDir(config.dir);
+        const ids = (await fs.readdir(config.dir))
+            .filter(name => name.endsWith(EXTENSION) && backup.isId(name.slice(0, -EXTENSION.length)))
+            .map(name => name.slice(0, -EXTENSION.length))
+            .sort()
+            .reverse();
+
+        return Promise.all(ids.map(async id => {
+            const file = fileFor(id);
+            const { size } = await fs.stat(file);
+            try {
+                return summary(id, await readManifest(file), size);
+            } catch (error) {
+                return { id, kind: kindOf(id), size, error: error.message };
+            }
+        }));
+    },
+
+    // Takes a backup now. kind is 'manual', 'scheduled' or 'pre-restore'.
+    // Returns { ok: true, backup } or { ok: false, status, message }
+    create: ({ kind = 'manual', admin = null } = {}) => exclusive(async () => ({
+        ok: true,
+        backup: await createArchive({ kind, admin })
+    })),
+
+    // Checks an archive (a backup's file, or any .tar.gz made by this module)
+    verify: (file) => inspect(file),
+
+    // Replaces every table in the archive and puts its uploads back, after checking the whole
+    // archive and taking a pre-restore backup of the current data. Tables the archive doesn't
+    // have are left as they are; uploads it doesn't have stay for media cleanup to judge.
+    // Returns { ok: true, restored, safety_backup } or { ok: false, status, message, problems? }
+    restore: (file, { admin = null } = {}) => exclusive(async () => {
+        await fs.ensureDir(config.dir);
+        const staging = path.join(config.dir, `.restore-${Date.now()}`);
+        const tables = {};
+
+        try {
+            const result = await inspect(file, async (name, data) => {
+                if (name.startsWith('data/')) {
+                    tables[name] = data;
+                } else {
+                    await fs.outputFile(path.join(staging, path.basename(name)), data);
+                }
+            });
+            if (!result.ok) {
+                return { ok: false, status: 422, message: 'The backup failed its checks, nothing was restored', problems: result.problems };
+            }
+
+            const records = {};
+            for (const table of result.manifest.tables) {
+                let parsed;
+                try {
+                    parsed = JSON.parse(tables[table.path].toString('utf8'));
+                } catch (error) {
+                    parsed = null;
+                }
+                if (!Array.isArray(parsed)) {
+                    return { ok: false, status: 422, message: 'The backup failed its checks, nothing was restored', problems: [`${table.path} is not a list of records`] };
+                }
+                records[table.table] = parsed;
+            }
+
+            const safety = await createArchive({ kind: 'pre-restore', admin });
+
+            await fs.ensureDir(uploadsDir);
+            for (const item of result.manifest.files) {
+                const name = path.basename(item.path);
+                await fs.copy(path.join(staging, name), path.join(uploadsDir, name), { overwrite: true });
+            }
+            // In table order, so media and customer figures rebuilt along the way end up
+            // as the backup has them
+            db.tables.filter(table => records[table]).forEach(table => db.write(table, records[table]));
+            await media.sync();
+
+            return {
+                ok: true,
+                restored: {
+                    id: result.manifest.id,
+                    created_at: result.manifest.created_at,
+                    tables: Object.keys(records).length,
+                    records: Object.values(records).reduce((total, list) => total + list.length, 0),
+                    files: result.manifest.files.length
+                },
+                safety_backup: safety
+            };
+        } finally {
+            await fs.remove(staging);
+        }
+    }),
+
+    remove: async (id) => {
+        const file = backup.find(id);
+        if (!file) return false;
+        await fs.remove(file);
+        return true;
+    },
+
+    // Deletes scheduled backups beyond the newest config.retention; returns the deleted ids
+    prune: async () => {
+        const scheduled = (await backup.list()).filter(item => item.kind === 'scheduled');
+        const expired = scheduled.slice(config.retention).map(item => item.id);
+        await Promise.all(expired.map(id => fs.remove(fileFor(id))));
+        return expired;
+    },
+
+    // Takes a scheduled backup if the last one is at least intervalHours old, then rotates.
+    // Returns the new backup, or null when none was due
+    runScheduled: async ({ now = Date.now() } = {}) => {
+        if (!config.intervalHours) return null;
+        const latest = (await backup.list()).find(item => item.kind === 'scheduled' && item.created_at);
+        if (latest && now - new Date(latest.created_at).getTime() < config.intervalHours * 60 * 60 * 1000) {
+            return null;
+        }
+
+        const result = await backup.create({ kind: 'scheduled' });
+        if (!result.ok) return null;
+        await backup.prune();
+        return result.backup;
+    },
+
+    // Checks every few minutes whether a scheduled backup is due
+    schedule: () => {
+        if (!config.intervalHours) return null;
+        const check = () => backup.runScheduled().catch(error => console.error('Error running scheduled backup:', error));
+        const timer = setInterval(check, config.checkMinutes * 60 * 1000);
+        timer.unref();
+        setTimeout(check, 60 * 1000).unref();
+        return timer;
+    }
+};
+
+module.exports = backup;
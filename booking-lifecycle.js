@@ -0,0 +1,77 @@
+const db = require('./database');
+
+const STATUSES = ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'];
+
+// Legal next states for each booking status; completed, cancelled and no-show are final
+const TRANSITIONS = {
+    'pending': ['confirmed', 'cancelled'],
+    'confirmed': ['in-progress', 'cancelled', 'no-show'],
+    'in-progress': ['completed'],
+    'completed': [],
+    'cancelled': [],
+    'no-show': []
+};
+
+// actor is "admin", "customer" or "system" (no logged-in admin)
+function historyEntry(from, to, { adminId = null, actor, reason = '' } = {}) {
+    return {
+        from,
+        to,
+        at: new Date().toISOString(),
+        actor: actor || (adminId ? 'admin' : 'system'),
+        admin_id: adminId,
+        reason: reason || ''
+    };
+}
+
+const bookingLifecycle = {
+    STATUSES,
+    TRANSITIONS,
+
+    isValidStatus: (status) => STATUSES.includes(status),
+
+    allowedTransitions: (status) => TRANSITIONS[status] || [],
+
+    canTransition: (from, to) => (TRANSITIONS[from] || []).includes(to),
+
+    // History to store on a freshly created booking
+    initialHistory: (options) => [historyEntry(null, 'pending', options)],
+
+    historyEntry,
+
+    // Moves a booking to a new status and records who did it.
+    // Returns { ok: true, booking } or { ok: false, status, message, allowed }
+    transition: (id, to, options = {}) => {
+        const booking = db.findById('bookings', id);
+        if (!booking) {
+            return { ok: false, status: 404, message: 'Booking not found' };
+        }
+
+        if (!STATUSES.includes(to)) {
+            return { ok: false, status: 400, message: `Unknown status "${to}"`, allowed: STATUSES };
+        }
+
+        const from = booking.status || 'pending';
+        const allowed = TRANSITIONS[from] || [];
+        if (!allowed.includes(to)) {
+            return {
+                ok: false,
+                status: 409,
+                message: `Cannot change booking from ${from} to ${to}`,
+                allowed
+            };
+        }
+
+        const expectedVersion = options.expectedVersion !== undefined ? options.expectedVersion : (booking.version || 0);
+        const status_history = [...(booking.status_history || []), historyEntry(from, to, options)];
+        try {
+            const updated = db.update('bookings', booking.id, { status: to, status_history }, { expectedVersion });
+            return { ok: true, booking: updated };
+        } catch (error) {
+            if (error.code !== 'STALE_WRITE') throw error;
+            return { ok: false, status: 409, message: 'This booking was changed by someone else, please reload and try again' };
+        }
+    }
+};
+
+module.exports = bookingLifecycle;
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const db = require('./database');
+const availability = require('./availability');
+const bookingLifecycle = require('./booking-lifecycle');
+
+// Customers may only change bookings that staff have not started working on
+const MANAGEABLE_STATUSES = ['pending', 'confirmed'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isManageable(booking) {
+    return MANAGEABLE_STATUSES.includes(booking.status);
+}
+
+const bookingSelfService = {
+    // Raw token goes to the customer once; only its hash is stored on the booking
+    createToken: () => {
+        const token = crypto.randomBytes(24).toString('base64url');
+        return { token, hash: hashToken(token) };
+    },
+
+    manageUrl: (token) => `/manage-booking.html?token=${encodeURIComponent(token)}`,
+
+    findByToken: (token) => {
+        if (!token || typeof token !== 'string' || token.length < 20) return null;
+        const hash = hashToken(token);
+        return db.read('bookings').find(booking => booking.manage_token_hash === hash) || null;
+    },
+
+    // Fields a customer is allowed to see about their own booking
+    publicView: (booking) => ({
+        id: booking.id,
+        customer_name: booking.customer_name,
+        service_id: booking.service_id || null,
+        service_name: booking.service_name,
+        price_label: booking.price_snapshot ? booking.price_snapshot.label : '',
+        booking_date: booking.booking_date,
+        booking_time: booking.booking_time,
+        duration_minutes: booking.duration_minutes,
+        notes: booking.notes || '',
+        status: booking.status,
+        payment_status: booking.payment_status || 'unpaid',
+        amount_paid: booking.amount_paid || 0,
+        can_reschedule: isManageable(booking),
+        can_cancel: isManageable(booking) && bookingLifecycle.canTransition(booking.status, 'cancelled')
+    }),
+
+    getSlots: (booking, date) => availability.getAvailableSlots(availability.serviceKeyOf(booking), date, { excludeId: booking.id }),
+
+    // Returns { ok: true, booking } or { ok: false, status, message, reason }
+    reschedule: (booking, { booking_date, booking_time }) => {
+        if (!isManageable(booking)) {
+            return { ok: false, status: 409, message: `A ${booking.status} booking can no longer be changed` };
+        }
+
+        const slot = availability.checkSlot({
+            service: availability.serviceKeyOf(booking),
+            date: booking_date,
+            time: booking_time,
+            excludeId: booking.id
+        });
+        if (!slot.ok) {
+            return { ok: false, status: slot.reason === 'invalid' ? 400 : 409, message: slot.message, reason: slot.reason };
+        }
+
+        const entry = bookingLifecycle.historyEntry(booking.status, booking.status, {
+            actor: 'customer',
+            reason: `Rescheduled from ${booking.booking_date} ${booking.booking_time} to ${booking_date} ${booking_time}`
+        });
+        try {
+            const updated = db.update('bookings', booking.id, {
+                booking_date,
+                booking_time,
+                duration_minutes: slot.duration,
+                status_history: [...(booking.status_history || []), entry]
+            }, { expectedVersion: booking.version || 0 });
+            return { ok: true, booking: updated };
+        } catch (error) {
+            if (error.code !== 'STALE_WRITE') throw error;
+            return { ok: false, status: 409, message: 'This booking was just changed, please reload and try again' };
+        }
+    },
+
+    cancel: (booking, reason) => {
+        if (!isManageable(booking)) {
+            return { ok: false, status: 409, message: `A ${booking.status} booking can no longer be cancelled` };
+        }
+        return bookingLifecycle.transition(booking.id, 'cancelled', { actor: 'customer', reason });
+    }
+};
+
+module.exports = bookingSelfService;
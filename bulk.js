@@ -0,0 +1,181 @@
+const path = require('path');
+const db = require('./database');
+const csv = require('./csv');
+const inventory = require('./inventory');
+
+// Bulk import and export of the catalogue (products, services, gallery metadata) as CSV or
+// JSON. Exports can be edited and imported again. Products are one CSV row per variant,
+// grouped back into products on import; in JSON they are nested as the API returns them.
+// What each record means for the stored data is decided by the importers in importers.js,
+// which reuse the validation of the matching API routes.
+const config = {
+    maxRows: parseInt(process.env.IMPORT_MAX_ROWS) || 2000,
+    maxFileSize: 5 * 1024 * 1024
+};
+
+const FORMATS = ['csv', 'json'];
+
+// Import modes: 'create' only adds records and rejects ones that already exist,
+// 'upsert' updates existing records (products by SKU, services by slug, gallery by id)
+const MODES = ['create', 'upsert'];
+
+const PRODUCT_FIELDS = ['product_id', 'name', 'category', 'description', 'image_url', 'published', 'low_stock_threshold'];
+const VARIANT_COLUMNS = ['sku', ...inventory.VARIANT_FIELDS, 'price', 'stock'];
+
+// Export columns per table, which are also the fields import reads
+const COLUMNS = {
+    products: [...PRODUCT_FIELDS, ...VARIANT_COLUMNS],
+    services: ['slug', 'name', 'category', 'description', 'pricing', 'price', 'price_max', 'duration_minutes', 'active', 'display_order'],
+    gallery: ['id', 'title', 'category', 'published', 'image_url']
+};
+
+function decode(value) {
+    return typeof value === 'string' ? csv.decodeHtml(value) : value;
+}
+
+function pick(record, fields) {
+    return fields.reduce((picked, field) => {
+        picked[field] = record[field] === undefined ? null : decode(record[field]);
+        return picked;
+    }, {});
+}
+
+function productRecord(product) {
+    return {
+        product_id: product.id,
+        ...pick(product, PRODUCT_FIELDS.slice(1)),
+        variants: (product.variants || []).map(variant => pick(variant, VARIANT_COLUMNS))
+    };
+}
+
+// Exported records: nested products for JSON, one row per variant for CSV
+function records(table, format) {
+    const list = db.read(table).sort((a, b) => (a.display_order || 0) - (b.display_order || 0) || a.id - b.id);
+    if (table === 'products') {
+        const products = list.map(productRecord);
+        if (format === 'json') return products;
+        return products.flatMap(({ variants, ...product }) =>
+            (variants.length ? variants : [{}]).map(variant => ({ ...product, ...variant }))
+        );
+    }
+    return list.map(record => pick(record, COLUMNS[table]));
+}
+
+// Empty CSV cells mean "not given", so updates keep the stored value
+function compact(row) {
+    const record = { line: row.line };
+    Object.entries(row).forEach(([field, value]) => {
+        if (field !== 'line' && value !== '') record[field] = value;
+    });
+    return record;
+}
+
+// Groups product CSV rows into products: rows with the same product_id, else the same
+// product as an existing SKU, else the same name and category make up one product
+function groupProducts(rows) {
+    const owners = {};
+    db.read('products').forEach(product => {
+        (product.variants || []).forEach(variant => { owners[variant.sku] = product.id; });
+    });
+
+    const groups = new Map();
+    rows.forEach(row => {
+        const existingId = row.product_id || owners[inventory.normalizeSku(row.sku)];
+        const key = existingId ? `id:${existingId}` : `name:${String(row.name || '').toLowerCase()}|${row.category || ''}`;
+        if (!groups.has(key)) {
+            groups.set(key, { lines: [], product: {}, variants: [] });
+        }
+        const group = groups.get(key);
+        group.lines.push(row.line);
+        PRODUCT_FIELDS.forEach(field => {
+            if (row[field] !== undefined && group.product[field] === undefined) group.product[field] = row[field];
+        });
+        if (existingId && !group.product.product_id) group.product.product_id = existingId;
+        const variant = {};
+        VARIANT_COLUMNS.forEach(field => {
+            if (row[field] !== undefined) variant[field] = row[field];
+        });
+        if (Object.keys(variant).length) group.variants.push(variant);
+    });
+
+    return [...groups.values()].map(group => ({
+        lines: group.lines,
+        ...group.product,
+        ...(group.variants.length ? { variants: group.variants } : {})
+    }));
+}
+
+const bulk = {
+    config,
+    FORMATS,
+    MODES,
+    COLUMNS,
+
+    // format from a file name, or null
+    formatOf: (filename) => {
+        const extension = path.extname(String(filename || '')).slice(1).toLowerCase();
+        return FORMATS.includes(extension) ? extension : null;
+    },
+
+    // Sends a table as a file download
+    send: (res, table, format) => {
+        const filename = `${table}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        if (format === 'csv') {
+            return csv.send(res, filename, COLUMNS[table].map(key => ({ key })), records(table, 'csv'));
+        }
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.json(records(table, 'json'));
+    },
+
+    // Records to import from a file's text; each has `lines`, where it came from in the file
+    // (spreadsheet rows for CSV, 1-based positions for JSON).
+    // Returns { ok: true, records } or { ok: false, status, message }
+    parse: (table, format, text) => {
+        let rows;
+        try {
+            if (format === 'csv') {
+                rows = csv.parse(text).rows.map(compact);
+            } else {
+                const data = JSON.parse(text);
+                const items = Array.isArray(data) ? data : data && data.items;
+                if (!Array.isArray(items)) {
+                    return { ok: false, status: 400, message: 'JSON imports must be a list of records' };
+                }
+                // null, like an empty CSV cell, means "not given"
+                rows = items.map((item, index) => {
+                    const record = { line: index + 1 };
+                    Object.entries(item && typeof item === 'object' ? item : {}).forEach(([field, value]) => {
+                        if (value !== null) record[field] = value;
+                    });
+                    return record;
+                });
+            }
+        } catch (error) {
+            return { ok: false, status: 400, message: `Could not read the ${format.toUpperCase()} file: ${error.message}` };
+        }
+
+        if (!rows.length) {
+            return { ok: false, status: 400, message: 'The file has no records' };
+        }
+        if (rows.length > config.maxRows) {
+            return { ok: false, status: 413, message: `Imports are limited to ${config.maxRows} rows` };
+        }
+
+        if (table === 'products' && format === 'csv') {
+            return { ok: true, records: groupProducts(rows) };
+        }
+        return {
+            ok: true,
+            records: rows.map(({ line, ...record }) => {
+                // Products as the API returns them have their id as `id`
+                if (table === 'products' && record.product_id === undefined && record.id !== undefined) {
+                    record.product_id = record.id;
+                    delete record.id;
+                }
+                return { ...record, lines: [line] };
+            })
+        };
+    }
+};
+
+module.exports = bulk;
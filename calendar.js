@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const db = require('./database');
+const availability = require('./availability');
+const { decodeHtml } = require('./csv');
+
+// Booking dates/times are salon-local; events are written in UTC using the salon's offset
+// (BUSINESS_UTC_OFFSET, see availability.js)
+const config = {
+    domain: process.env.CALENDAR_DOMAIN || 'denysbeautyworld.com',
+    businessName: "Deny's Beauty World",
+    location: process.env.BUSINESS_ADDRESS || ''
+};
+
+const EVENT_STATUS = {
+    'pending': 'TENTATIVE',
+    'confirmed': 'CONFIRMED',
+    'in-progress': 'CONFIRMED',
+    'completed': 'CONFIRMED',
+    'cancelled': 'CANCELLED',
+    'no-show': 'CANCELLED'
+};
+
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function bookingStart(booking) {
+    const local = new Date(`${booking.booking_date}T${booking.booking_time}:00Z`);
+    return new Date(local.getTime() - availability.offsetMinutes() * 60 * 1000);
+}
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are folded at 75 octets
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function bookingEvent(booking, { audience = 'staff' } = {}) {
+    const start = bookingStart(booking);
+    if (isNaN(start)) return [];
+
+    const duration = parseInt(booking.duration_minutes) || availability.getServiceDuration(availability.serviceKeyOf(booking));
+    const end = new Date(start.getTime() + duration * 60 * 1000);
+    const modified = new Date(booking.updated_at || booking.created_at || Date.now());
+    // Stored text is HTML-escaped for the admin UI; calendars show it as typed
+    const text = field => decodeHtml(String(booking[field] || ''));
+
+    const summary = audience === 'customer'
+        ? `${config.businessName}: ${text('service_name')}`
+        : `${text('service_name')} - ${text('customer_name')}`;
+    const description = audience === 'customer'
+        ? `Your ${text('service_name')} appointment (${booking.status}).`
+        : [
+            `Customer: ${text('customer_name')}`,
+            `Phone: ${text('customer_phone')}`,
+            `Status: ${booking.status}`,
+            booking.notes ? `Notes: ${text('notes')}` : ''
+        ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:booking-${booking.id}@${config.domain}`,
+        // Every status change or reschedule adds a history entry, so clients see a newer revision
+        `SEQUENCE:${Math.max((booking.status_history || []).length - 1, 0)}`,
+        `DTSTAMP:${formatUtc(modified)}`,
+        `LAST-MODIFIED:${formatUtc(modified)}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        config.location ? `LOCATION:${escapeText(config.location)}` : '',
+        `STATUS:${EVENT_STATUS[booking.status] || 'TENTATIVE'}`,
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const calendar = {
+    config,
+
+    // Builds a VCALENDAR document for a list of bookings
+    build: (bookings, { name = config.businessName, audience = 'staff' } = {}) => {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:-//${config.businessName}//Bookings//EN`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(name)}`,
+            ...bookings.flatMap(booking => bookingEvent(booking, { audience })),
+            'END:VCALENDAR'
+        ];
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    },
+
+    // Bookings for a feed, filtered by comma-separated statuses and a date range
+    feedBookings: ({ status, from, to } = {}) => {
+        const statuses = (status || '').split(',').map(item => item.trim()).filter(Boolean);
+        return db.read('bookings')
+            .filter(booking => statuses.length === 0 || statuses.includes(booking.status))
+            .filter(booking => !from || booking.booking_date >= from)
+            .filter(booking => !to || booking.booking_date <= to)
+            .sort((a, b) => `${a.booking_date} ${a.booking_time}`.localeCompare(`${b.booking_date} ${b.booking_time}`));
+    },
+
+    // Nodemailer attachment for a single booking
+    attachment: (booking) => ({
+        filename: `booking-${booking.id}.ics`,
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH',
+        content: calendar.build([booking], { audience: 'customer' })
+    }),
+
+    // Issues a new feed token for an admin; only the hash is kept
+    rotateFeedToken: (adminId) => {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const admin = db.update('admins', adminId, { calendar_token_hash: hashToken(token) });
+        return admin ? token : null;
+    },
+
+    findAdminByFeedToken: (token) => {
+        if (!token || typeof token !== 'string') return null;
+        const hash = hashToken(token);
+        return db.read('admins').find(admin => admin.calendar_token_hash === hash) || null;
+    }
+};
+
+module.exports = calendar;
@@ -0,0 +1,49 @@
+const db = require('./database');
+
+// What the public pages show: products, videos, gallery images and services. Visitors only
+// see published records (active ones for services), and products only while in stock;
+// signed-in staff see everything. Public lists may be cached briefly by browsers and
+// proxies, and revalidated cheaply through the ETag Express puts on every JSON response.
+const config = {
+    maxAge: parseInt(process.env.CATALOGUE_CACHE_SECONDS) || 60
+};
+
+// Filters (in db.query() form) selecting what visitors may see, per table
+const VISIBLE = {
+    products: { published: [true], in_stock: [true] },
+    videos: { published: [true] },
+    gallery: { published: [true] },
+    services: { active: [true] }
+};
+
+const catalogue = {
+    config,
+    VISIBLE,
+
+    isVisible: (table, record) => Object.entries(VISIBLE[table] || {})
+        .every(([field, values]) => values.includes(record[field])),
+
+    // A true/false request field (JSON or multipart), or fallback when it was left out
+    flag: (value, fallback) => value === undefined || value === '' ? fallback : value === true || value === 'true',
+
+    // Staff responses differ per session and must not be shared; visitors' may be
+    cacheHeaders: (res, staff) => {
+        res.vary('Cookie');
+        res.set('Cache-Control', staff ? 'private, no-cache' : `public, max-age=${config.maxAge}`);
+    },
+
+    // Marks records created before publishing existed as published (and stock-less products
+    // as in stock), so they stay on the site
+    backfill: () => {
+        ['products', 'videos', 'gallery'].forEach(table => {
+            db.read(table).forEach(record => {
+                const updates = {};
+                if (record.published === undefined) updates.published = true;
+                if (table === 'products' && record.in_stock === undefined) updates.in_stock = true;
+                if (Object.keys(updates).length) db.update(table, record.id, updates);
+            });
+        });
+    }
+};
+
+module.exports = catalogue;
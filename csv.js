@@ -0,0 +1,93 @@
+// CSV for spreadsheets. Stored text is HTML-escaped for the admin UI (see sanitizeInput in
+// server.js), so it is decoded on the way out; cells that a spreadsheet would run as a
+// formula get a leading apostrophe, which parse() takes off again.
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'" };
+
+function decodeHtml(value) {
+    return value.replace(/&(amp|lt|gt|quot|#x27);/g, entity => ENTITIES[entity]);
+}
+
+function cell(value) {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string') {
+        text = decodeHtml(text);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Splits CSV text into rows of cells (RFC 4180: quoted cells may hold commas, quotes and newlines)
+function splitRows(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            rows.push([...row, value]);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted value');
+    }
+    if (value !== '' || row.length) rows.push([...row, value]);
+    return rows;
+}
+
+const csv = {
+    decodeHtml,
+
+    // { columns, rows } where each row maps the header's column names to its (trimmed) cells
+    // and carries the row number a spreadsheet shows for it as `line`; blank rows are skipped
+    parse: (text) => {
+        const [header = [], ...lines] = splitRows(String(text).replace(/^\uFEFF/, ''));
+        const columns = header.map(name => name.trim());
+        const rows = [];
+        lines.forEach((cells, index) => {
+            if (cells.every(cell => cell.trim() === '')) return;
+            const row = { line: index + 2 };
+            columns.forEach((column, i) => {
+                const value = (cells[i] || '').trim();
+                row[column] = /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+            });
+            rows.push(row);
+        });
+        return { columns, rows };
+    },
+
+    // columns = [{ key, label }]; rows = objects keyed by column key
+    stringify: (columns, rows) => [
+        columns.map(column => cell(column.label || column.key)).join(','),
+        ...rows.map(row => columns.map(column => cell(row[column.key])).join(','))
+    ].join('\r\n') + '\r\n',
+
+    // Sends rows as a file download
+    send: (res, filename, columns, rows) => {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv.stringify(columns, rows));
+    }
+};
+
+module.exports = csv;
@@ -0,0 +1,277 @@
+const db = require('./database');
+const orders = require('./orders');
+
+// One record per client, keyed by their phone number in +234 form. Bookings and orders are
+// linked through customer_id when they are created; the visit and spend figures on the
+// customer are kept up to date from those records, so lists can sort on them.
+const config = {
+    countryCode: '234',
+    preferredServices: 3
+};
+
+// Bookings in these states never took place and don't count towards preferences
+const MISSED_BOOKING_STATUSES = ['cancelled', 'no-show'];
+
+// "0816 755 9196", "816-755-9196", "2348167559196" and "+234 (0) 816 755 9196" all become
+// "+2348167559196". Other international numbers keep their country code; returns null
+// when the input doesn't look like a phone number at all.
+function normalizePhone(value) {
+    const raw = String(value || '').trim();
+    let digits = raw.replace(/\D/g, '');
+    const international = raw.startsWith('+') || digits.startsWith('00');
+    if (digits.startsWith('00')) digits = digits.slice(2);
+
+    if (digits.startsWith(config.countryCode)) {
+        const national = digits.slice(config.countryCode.length).replace(/^0/, '');
+        return national.length === 10 ? `+${config.countryCode}${national}` : null;
+    }
+    if (international) {
+        return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+    if (digits.length === 11 && digits.startsWith('0')) return `+${config.countryCode}${digits.slice(1)}`;
+    if (digits.length === 10 && /^[789]/.test(digits)) return `+${config.countryCode}${digits}`;
+    return null;
+}
+
+function normalizeEmail(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function unique(values) {
+    return values.filter((value, index, all) => value && all.indexOf(value) === index);
+}
+
+// Unparseable numbers still group identical entries together
+function phoneKey(value) {
+    return normalizePhone(value) || String(value || '').replace(/\D/g, '');
+}
+
+function linkedRecords(table, customerId) {
+    if (!customerId) return [];
+    return db.read(table).filter(record => record.customer_id === customerId);
+}
+
+// What a booking is worth: its price once completed (what was paid if it had no fixed price)
+function bookingSpend(booking) {
+    if (booking.status !== 'completed') return 0;
+    const price = booking.price_snapshot && booking.price_snapshot.price;
+    return Math.max(Number(price) || 0, booking.amount_paid || 0);
+}
+
+// Visit, spend and preference figures from the customer's bookings and orders
+function stats(customerId) {
+    const bookings = linkedRecords('bookings', customerId);
+    const customerOrders = linkedRecords('orders', customerId);
+    const visits = bookings.filter(booking => booking.status === 'completed');
+
+    const serviceCounts = {};
+    bookings
+        .filter(booking => !MISSED_BOOKING_STATUSES.includes(booking.status) && booking.service_name)
+        .forEach(booking => { serviceCounts[booking.service_name] = (serviceCounts[booking.service_name] || 0) + 1; });
+
+    return {
+        booking_count: bookings.length,
+        visit_count: visits.length,
+        no_show_count: bookings.filter(booking => booking.status === 'no-show').length,
+        order_count: customerOrders.length,
+        total_spend: bookings.reduce((total, booking) => total + bookingSpend(booking), 0) +
+            customerOrders.filter(order => orders.PAID_STATUSES.includes(order.status)).reduce((total, order) => total + order.total, 0),
+        last_visit_date: visits.reduce((latest, booking) => booking.booking_date > latest ? booking.booking_date : latest, '') || null,
+        preferred_services: Object.entries(serviceCounts)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, config.preferredServices)
+            .map(([service_name, count]) => ({ service_name, count }))
+    };
+}
+
+// Set while backfilling, which refreshes every customer once at the end instead
+let paused = false;
+
+function refresh(customerId) {
+    if (paused || !customerId || !db.findById('customers', customerId)) return;
+    db.update('customers', customerId, stats(customerId));
+}
+
+function trackChange(change) {
+    if (change.table !== 'bookings' && change.table !== 'orders') return;
+
+    if (change.action === 'replace') {
+        if (!paused) db.read('customers').forEach(customer => refresh(customer.id));
+        return;
+    }
+
+    const ids = unique([change.before && change.before.customer_id, change.after && change.after.customer_id]);
+    ids.forEach(refresh);
+}
+
+db.onChange(trackChange);
+
+const customers = {
+    config,
+    normalizePhone,
+    bookingSpend,
+
+    findByPhone: (phone) => {
+        const key = phoneKey(phone);
+        if (!key) return null;
+        return db.read('customers').find(customer => (customer.phones || []).includes(key)) || null;
+    },
+
+    // The customer with this phone number, created if there is none yet. A new email is
+    // added to the ones on file. The name on file is kept: whoever holds the phone may book
+    // for someone else, so a different name is only listed in other_names for staff to see.
+    findOrCreate: ({ name, phone, email }) => {
+        const key = phoneKey(phone);
+        if (!key) return null;
+        const cleanEmail = normalizeEmail(email);
+        const existing = customers.findByPhone(phone);
+
+        if (!existing) {
+            return db.insert('customers', {
+                name: name || '',
+                phone: key,
+                phones: [key],
+                email: cleanEmail,
+                emails: unique([cleanEmail]),
+                other_names: [],
+                notes: [],
+                merged_ids: [],
+                ...stats(null)
+            });
+        }
+
+        const updates = {};
+        if (name && !existing.name) {
+            updates.name = name;
+        } else if (name && name !== existing.name && !(existing.other_names || []).includes(name)) {
+            updates.other_names = [...(existing.other_names || []), name];
+        }
+        if (cleanEmail && !(existing.emails || []).includes(cleanEmail)) {
+            updates.emails = [...(existing.emails || []), cleanEmail];
+            if (!existing.email) updates.email = cleanEmail;
+        }
+        return Object.keys(updates).length ? db.update('customers', existing.id, updates) : existing;
+    },
+
+    // customer_id for a new booking or order, from its customer_* fields
+    idFor: (record) => {
+        const customer = customers.findOrCreate({
+            name: record.customer_name,
+            phone: record.customer_phone,
+            email: record.customer_email
+        });
+        return customer ? customer.id : null;
+    },
+
+    // A customer with their bookings and orders, newest first
+    history: (customer) => ({
+        ...customer,
+        bookings: linkedRecords('bookings', customer.id)
+            .sort((a, b) => `${b.booking_date} ${b.booking_time}`.localeCompare(`${a.booking_date} ${a.booking_time}`)),
+        orders: linkedRecords('orders', customer.id)
+            .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+    }),
+
+    // Private stylist notes; never shown to the customer.
+    // Returns { ok: true, customer, note } or { ok: false, status, message }
+    addNote: (id, text, admin) => {
+        const customer = db.findById('customers', id);
+        if (!customer) {
+            return { ok: false, status: 404, message: 'Customer not found' };
+        }
+        const note = {
+            id: `${Date.now()}-${(customer.notes || []).length + 1}`,
+            text,
+            admin_id: admin ? admin.id : null,
+            admin_name: admin ? (admin.full_name || admin.email) : '',
+            at: new Date().toISOString()
+        };
+        const updated = db.update('customers', customer.id, { notes: [...(customer.notes || []), note] });
+        return { ok: true, customer: updated, note };
+    },
+
+    deleteNote: (id, noteId) => {
+        const customer = db.findById('customers', id);
+        if (!customer) {
+            return { ok: false, status: 404, message: 'Customer not found' };
+        }
+        const notes = customer.notes || [];
+        if (!notes.some(note => note.id === noteId)) {
+            return { ok: false, status: 404, message: 'Note not found' };
+        }
+        return { ok: true, customer: db.update('customers', customer.id, { notes: notes.filter(note => note.id !== noteId) }) };
+    },
+
+    // Customers sharing an email address, who are likely the same person with two numbers
+    duplicates: () => {
+        const byEmail = {};
+        db.read('customers').forEach(customer => {
+            (customer.emails || []).forEach(email => {
+                byEmail[email] = [...(byEmail[email] || []), customer];
+            });
+        });
+        return Object.entries(byEmail)
+            .filter(([, group]) => group.length > 1)
+            .map(([email, group]) => ({ email, customers: group }));
+    },
+
+    // Folds the duplicate into the customer it belongs to: its bookings and orders move
+    // across, phones, emails and notes are combined and the duplicate is removed.
+    // Returns { ok: true, customer } or { ok: false, status, message }
+    merge: (id, duplicateId) => {
+        const customer = db.findById('customers', id);
+        const duplicate = db.findById('customers', duplicateId);
+        if (!customer || !duplicate) {
+            return { ok: false, status: 404, message: 'Customer not found' };
+        }
+        if (customer.id === duplicate.id) {
+            return { ok: false, status: 400, message: 'A customer cannot be merged into itself' };
+        }
+
+        paused = true;
+        try {
+            ['bookings', 'orders'].forEach(table => {
+                linkedRecords(table, duplicate.id).forEach(record => db.update(table, record.id, { customer_id: customer.id }));
+            });
+        } finally {
+            paused = false;
+        }
+
+        db.update('customers', customer.id, {
+            phones: unique([...(customer.phones || []), ...(duplicate.phones || [])]),
+            emails: unique([...(customer.emails || []), ...(duplicate.emails || [])]),
+            email: customer.email || duplicate.email || '',
+            other_names: unique([...(customer.other_names || []), duplicate.name, ...(duplicate.other_names || [])])
+                .filter(name => name !== customer.name),
+            notes: [...(customer.notes || []), ...(duplicate.notes || [])].sort((a, b) => a.at.localeCompare(b.at)),
+            merged_ids: unique([...(customer.merged_ids || []), duplicate.id, ...(duplicate.merged_ids || [])])
+        });
+        db.delete('customers', duplicate.id);
+        refresh(customer.id);
+        return { ok: true, customer: db.findById('customers', customer.id) };
+    },
+
+    // Links bookings and orders stored before customers existed, then recomputes everyone's
+    // figures. Phones are matched after normalizing, so "0816..." and "+234816..." meet.
+    backfill: () => {
+        paused = true;
+        let linked = 0;
+        try {
+            ['bookings', 'orders'].forEach(table => {
+                db.read(table).forEach(record => {
+                    if (record.customer_id && db.findById('customers', record.customer_id)) return;
+                    const customerId = customers.idFor(record);
+                    if (!customerId) return;
+                    db.update(table, record.id, { customer_id: customerId });
+                    linked++;
+                });
+            });
+        } finally {
+            paused = false;
+        }
+        db.read('customers').forEach(customer => refresh(customer.id));
+        if (linked) console.log(`Linked ${linked} bookings and orders to customer records`);
+    }
+};
+
+module.exports = customers;
@@ -1,76 +1,81 @@
-const fs = require('fs-extra');
 const path = require('path');
+const tables = require('./storage/tables');
 
 const dbPath = path.join(__dirname, 'data');
-const dbFiles = {
-    admins: path.join(dbPath, 'admins.json'),
-    products: path.join(dbPath, 'products.json'),
-    services: path.join(dbPath, 'services.json'),
-    bookings: path.join(dbPath, 'bookings.json'),
-    gallery: path.join(dbPath, 'gallery.json'),
-    videos: path.join(dbPath, 'videos.json'),
-    profiles: path.join(dbPath, 'profiles.json')
-};
 
-// Initialize database files
-fs.ensureDirSync(dbPath);
+// DB_BACKEND=json (default) keeps one JSON file per table in data/;
+// DB_BACKEND=sqlite stores everything in SQLITE_PATH (see scripts/migrate-json-to-sqlite.js)
+const backend = (process.env.DB_BACKEND || 'json').toLowerCase();
 
-Object.values(dbFiles).forEach(file => {
-    if (!fs.existsSync(file)) {
-        fs.writeJsonSync(file, []);
+function createStore() {
+    if (backend === 'sqlite') {
+        const createSqliteStore = require('./storage/sqlite-store');
+        return createSqliteStore({
+            file: process.env.SQLITE_PATH || path.join(dbPath, 'beauty-world.db'),
+            tables
+        });
     }
-});
 
-const db = {
-    read: (table) => {
-        try {
-            return fs.readJsonSync(dbFiles[table]);
-        } catch (error) {
-            return [];
-        }
-    },
-    
-    write: (table, data) => {
-        fs.writeJsonSync(dbFiles[table], data, { spaces: 2 });
-    },
-    
-    insert: (table, record) => {
-        const data = db.read(table);
-        record.id = Date.now();
-        record.created_at = new Date().toISOString();
-        data.push(record);
-        db.write(table, data);
-        return record;
-    },
-    
-    findById: (table, id) => {
-        const data = db.read(table);
-        return data.find(item => item.id == id);
-    },
-    
-    update: (table, id, updates) => {
-        const data = db.read(table);
-        const index = data.findIndex(item => item.id == id);
-        console.log('Update - table:', table, 'id:', id, 'index:', index, 'data length:', data.length);
-        if (index === -1) return null;
-        
-        data[index] = { ...data[index], ...updates, updated_at: new Date().toISOString() };
-        db.write(table, data);
-        console.log('Updated item:', data[index]);
-        return data[index];
-    },
-    
-    delete: (table, id) => {
-        const data = db.read(table);
-        const index = data.findIndex(item => item.id == id);
-        console.log('Delete - table:', table, 'id:', id, 'index:', index, 'data length:', data.length);
-        if (index === -1) return false;
-        
-        data.splice(index, 1);
-        db.write(table, data);
-        console.log('Item deleted, new data length:', data.length);
-        return true;
+    if (backend !== 'json') {
+        throw new Error(`Unknown DB_BACKEND "${backend}" (expected "json" or "sqlite")`);
     }
-};
+
+    const createJsonStore = require('./storage/json-store');
+    return createJsonStore({ dir: dbPath, tables });
+}
+
+// Change listeners receive { action, table, id, before, after } after every successful
+// insert ('create'), update, delete or whole-table write ('replace')
+function withChangeEvents(store) {
+    const listeners = [];
+    const { insert, update, write } = store;
+    const remove = store.delete;
+
+    function emit(change) {
+        listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Error in database change listener:', error);
+            }
+        });
+    }
+
+    store.onChange = (listener) => {
+        listeners.push(listener);
+    };
+
+    store.insert = (table, record) => {
+        const after = insert(table, record);
+        emit({ action: 'create', table, id: after.id, before: null, after });
+        return after;
+    };
+
+    store.update = (table, id, updates, options) => {
+        const before = listeners.length ? store.findById(table, id) : null;
+        const after = update(table, id, updates, options);
+        if (after) emit({ action: 'update', table, id: after.id, before, after });
+        return after;
+    };
+
+    store.delete = (table, id) => {
+        const before = listeners.length ? store.findById(table, id) : null;
+        const deleted = remove(table, id);
+        if (deleted) emit({ action: 'delete', table, id: before ? before.id : id, before, after: null });
+        return deleted;
+    };
+
+    store.write = (table, data) => {
+        const before = listeners.length ? store.read(table) : null;
+        write(table, data);
+        emit({ action: 'replace', table, id: null, before, after: data });
+    };
+
+    return store;
+}
+
+const db = withChangeEvents(createStore());
+db.tables = tables;
+db.dataDir = dbPath;
 
 module.exports = db;
@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+
+// Identifies uploads by their first bytes instead of the client-supplied mimetype
+const HEADER_BYTES = 64;
+
+// ISO base media brands (bytes 8-11 after "ftyp")
+const FTYP_BRANDS = {
+    avif: { kind: 'image', mime: 'image/avif', ext: 'avif' },
+    avis: { kind: 'image', mime: 'image/avif', ext: 'avif' },
+    heic: { kind: 'image', mime: 'image/heic', ext: 'heic' },
+    heix: { kind: 'image', mime: 'image/heic', ext: 'heic' },
+    mif1: { kind: 'image', mime: 'image/heif', ext: 'heif' },
+    'qt  ': { kind: 'video', mime: 'video/quicktime', ext: 'mov' },
+    '3gp4': { kind: 'video', mime: 'video/3gpp', ext: '3gp' },
+    '3gp5': { kind: 'video', mime: 'video/3gpp', ext: '3gp' }
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+    return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function ascii(buffer, start, end) {
+    return buffer.subarray(start, end).toString('latin1');
+}
+
+const fileSignatures = {
+    // Returns { kind: 'image' | 'video', mime, ext } or null
+    detect: (buffer) => {
+        if (!buffer || buffer.length < 12) return null;
+
+        if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return { kind: 'image', mime: 'image/jpeg', ext: 'jpg' };
+        if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return { kind: 'image', mime: 'image/png', ext: 'png' };
+        if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return { kind: 'image', mime: 'image/gif', ext: 'gif' };
+        if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return { kind: 'image', mime: 'image/webp', ext: 'webp' };
+        if (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) return { kind: 'image', mime: 'image/tiff', ext: 'tiff' };
+
+        if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return { kind: 'video', mime: 'video/webm', ext: 'webm' };
+        if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'AVI ') return { kind: 'video', mime: 'video/x-msvideo', ext: 'avi' };
+
+        if (ascii(buffer, 4, 8) === 'ftyp') {
+            const brand = ascii(buffer, 8, 12);
+            // Everything else in the ISO family (isom, mp41, mp42, M4V, ...) is treated as MP4
+            return FTYP_BRANDS[brand] || { kind: 'video', mime: 'video/mp4', ext: 'mp4' };
+        }
+
+        return null;
+    },
+
+    detectFile: async (filePath) => {
+        const handle = await fs.promises.open(filePath, 'r');
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+            return fileSignatures.detect(buffer.subarray(0, bytesRead));
+        } finally {
+            await handle.close();
+        }
+    }
+};
+
+module.exports = fileSignatures;
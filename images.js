@@ -0,0 +1,69 @@
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const fileSignatures = require('./file-signatures');
+
+// Longest side in pixels for each WebP variant written next to an upload
+const VARIANTS = {
+    thumb: parseInt(process.env.IMAGE_THUMB_SIZE) || 320,
+    medium: parseInt(process.env.IMAGE_MEDIUM_SIZE) || 800,
+    large: parseInt(process.env.IMAGE_LARGE_SIZE) || 1600
+};
+
+const WEBP_QUALITY = parseInt(process.env.IMAGE_WEBP_QUALITY) || 80;
+
+function variantUrls(base) {
+    return Object.keys(VARIANTS).reduce((urls, name) => {
+        urls[name] = `/uploads/${base}-${name}.webp`;
+        return urls;
+    }, {});
+}
+
+const images = {
+    VARIANTS,
+
+    // Checks the uploaded file by its content, writes thumb/medium/large WebP copies
+    // (EXIF orientation applied, all metadata including GPS dropped) and removes the original.
+    // Returns { ok: true, url, variants, width, height } or { ok: false, status, message }
+    process: async (filePath) => {
+        const dir = path.dirname(filePath);
+        const base = path.basename(filePath, path.extname(filePath));
+        const written = [];
+
+        try {
+            const type = await fileSignatures.detectFile(filePath);
+            if (!type || type.kind !== 'image') {
+                return { ok: false, status: 400, message: 'File is not a supported image' };
+            }
+
+            // sharp only copies metadata when asked to with withMetadata()
+            const source = sharp(filePath, { failOn: 'error' }).rotate();
+            let largest = null;
+
+            for (const [name, size] of Object.entries(VARIANTS)) {
+                const file = path.join(dir, `${base}-${name}.webp`);
+                written.push(file);
+                largest = await source.clone()
+                    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                    .webp({ quality: WEBP_QUALITY })
+                    .toFile(file);
+            }
+
+            const variants = variantUrls(base);
+            return { ok: true, url: variants.large, variants, width: largest.width, height: largest.height };
+        } catch (error) {
+            await Promise.all(written.map(file => fs.remove(file)));
+            return { ok: false, status: 400, message: 'Image could not be processed: ' + error.message };
+        } finally {
+            await fs.remove(filePath);
+        }
+    },
+
+    // Variant URLs for an image_url produced by process(), or null for any other URL
+    variantsFor: (url) => {
+        const match = /^\/uploads\/([\w.-]+)-(thumb|medium|large)\.webp$/.exec(url || '');
+        return match ? variantUrls(match[1]) : null;
+    }
+};
+
+module.exports = images;
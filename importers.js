@@ -0,0 +1,310 @@
+const fs = require('fs-extra');
+const path = require('path');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const db = require('./database');
+const csv = require('./csv');
+const bulk = require('./bulk');
+const inventory = require('./inventory');
+const services = require('./services');
+const catalogue = require('./catalogue');
+const images = require('./images');
+
+// Catalogue import (see bulk.js for the file formats): one importer per table. find() matches
+// a record to what is stored (and names it for error messages), validation is the matching
+// API route's, check() runs the remaining rules and apply() writes the record. The routes'
+// validation chains and helpers come from server.js, so an import accepts exactly what the
+// API does; text is HTML-escaped as the routes do.
+function uploadExists(url) {
+    return typeof url === 'string' && url.startsWith('/uploads/') &&
+        fs.existsSync(path.join(__dirname, 'uploads', path.basename(url)));
+}
+
+// Stored values as an import file would have them, to fill in what an update leaves out
+function decodedFields(record, fields) {
+    return fields.reduce((decoded, field) => {
+        if (record[field] !== undefined && record[field] !== null) decoded[field] = csv.decodeHtml(String(record[field]));
+        return decoded;
+    }, {});
+}
+
+// Import files (CSV or JSON) are read from memory, never stored
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (bulk.formatOf(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .csv and .json files can be imported'), false);
+        }
+    },
+    limits: { fileSize: bulk.config.maxFileSize }
+});
+
+function createImporters({
+    requirePermission,
+    sanitizeInput,
+    sanitizeVariant,
+    productValidation,
+    productVariants,
+    serviceValidation,
+    serviceInput,
+    galleryValidation
+}) {
+    const importers = {
+        products: {
+            permission: 'products:write',
+            find: (record) => {
+                if (record.product_id !== undefined) {
+                    const product = db.findById('products', parseInt(record.product_id));
+                    return product ? { existing: product, key: `product ${product.id}` } : { error: `Product ${record.product_id} not found` };
+                }
+                const skus = (record.variants || []).map(variant => inventory.normalizeSku(variant.sku)).concat(record.sku ? [inventory.normalizeSku(record.sku)] : []);
+                const owners = db.read('products').filter(product => (product.variants || []).some(variant => skus.includes(variant.sku)));
+                if (owners.length > 1) {
+                    return { error: `SKUs ${skus.join(', ')} belong to different products` };
+                }
+                return owners.length ? { existing: owners[0], key: `product ${owners[0].id}` } : { key: record.name || skus.join(', ') };
+            },
+            // Updates may leave out anything they don't change, so the stored values fill the gaps
+            body: (record, existing) => {
+                if (!existing) return record;
+                const variants = (record.variants || []).map(variant => {
+                    const current = (existing.variants || []).find(candidate => candidate.sku === inventory.normalizeSku(variant.sku));
+                    return { ...(current ? decodedFields(current, ['price', ...inventory.VARIANT_FIELDS]) : {}), ...variant };
+                });
+                return {
+                    ...decodedFields(existing, ['name', 'description', 'category', 'image_url']),
+                    ...record,
+                    ...(variants.length ? { variants } : {})
+                };
+            },
+            validation: () => productValidation,
+            keys: (record) => (record.variants || []).map(variant => inventory.normalizeSku(variant.sku)).concat(record.sku ? [inventory.normalizeSku(record.sku)] : []),
+            check: (record, existing) => {
+                if (!existing) {
+                    const result = productVariants(record, null);
+                    return result.ok ? null : result.message;
+                }
+                const skus = (record.variants || []).map(variant => inventory.normalizeSku(variant.sku));
+                const taken = inventory.takenSkus(skus, existing.id);
+                return taken.length ? `SKU already used by another product: ${taken.join(', ')}` : null;
+            },
+            apply: (record, existing, admin, given) => {
+                const text = (field, fallback) => given[field] !== undefined ? sanitizeInput(record[field]) : fallback;
+                const fields = {
+                    name: text('name', existing && existing.name),
+                    description: text('description', existing ? existing.description : ''),
+                    category: text('category', existing && existing.category),
+                    image_url: text('image_url', existing ? existing.image_url : ''),
+                    published: catalogue.flag(record.published, existing ? existing.published !== false : true),
+                    low_stock_threshold: record.low_stock_threshold !== undefined && record.low_stock_threshold !== null
+                        ? parseInt(record.low_stock_threshold)
+                        : (existing && existing.low_stock_threshold !== undefined ? existing.low_stock_threshold : null)
+                };
+                fields.image_variants = images.variantsFor(fields.image_url);
+
+                if (!existing) {
+                    const result = productVariants(record, null);
+                    const product = db.insert('products', { ...fields, variants: result.variants, ...inventory.totals(result.variants) });
+                    inventory.logOpeningStock(product, result.opening, admin);
+                    return product;
+                }
+
+                // Variants the file doesn't mention are kept; stock of existing SKUs only changes
+                // through a logged correction below
+                const incoming = record.variants || [];
+                const input = (existing.variants || []).map(variant => {
+                    const update = incoming.find(item => inventory.normalizeSku(item.sku) === variant.sku);
+                    return update ? { ...variant, ...update } : variant;
+                }).concat(incoming.filter(item => !(existing.variants || []).some(variant => variant.sku === inventory.normalizeSku(item.sku))));
+                const built = inventory.buildVariants(input, existing.variants || []);
+                const variants = built.variants.map(variant => ({ ...variant, ...sanitizeVariant(variant) }));
+                let product = db.update('products', existing.id, { ...fields, variants, ...inventory.totals(variants) });
+                inventory.logOpeningStock(product, built.opening, admin);
+
+                incoming.forEach(item => {
+                    const current = (existing.variants || []).find(variant => variant.sku === inventory.normalizeSku(item.sku));
+                    if (!current || item.stock === undefined || parseInt(item.stock) === current.stock) return;
+                    const result = inventory.adjust(product.id, current.sku, parseInt(item.stock) - current.stock, {
+                        reason: 'correction',
+                        note: 'Import',
+                        admin
+                    });
+                    if (!result.ok) throw new Error(result.message);
+                    product = result.product;
+                });
+                return product;
+            }
+        },
+
+        services: {
+            permission: 'services:write',
+            find: (record) => {
+                const slug = record.slug || services.slugify(record.name);
+                const existing = db.read('services').find(service => service.slug === slug);
+                return { existing, key: slug || record.name || '(no name)' };
+            },
+            body: (record) => record,
+            validation: (existing) => [
+                body('slug').optional().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug must be lowercase words joined by dashes'),
+                ...serviceValidation(Boolean(existing))
+            ],
+            keys: (record) => [record.slug || services.slugify(record.name)],
+            check: (record, existing) => {
+                if (!existing && !(record.slug || services.slugify(record.name))) {
+                    return 'Service name needs letters or digits to make a slug';
+                }
+                const result = services.build(serviceInput(record), existing || {});
+                return result.ok ? null : result.message;
+            },
+            apply: (record, existing) => {
+                const { fields } = services.build(serviceInput(record), existing || {});
+                if (existing) {
+                    return db.update('services', existing.id, fields);
+                }
+                return db.insert('services', { slug: record.slug || services.slugify(record.name), ...fields });
+            }
+        },
+
+        gallery: {
+            permission: 'gallery:write',
+            find: (record) => {
+                if (record.id !== undefined) {
+                    const image = db.findById('gallery', parseInt(record.id));
+                    return image ? { existing: image, key: `image ${image.id}` } : { error: `Image ${record.id} not found` };
+                }
+                const existing = db.read('gallery').find(image => image.image_url === record.image_url);
+                return { existing, key: existing ? `image ${existing.id}` : record.image_url || '(no image)' };
+            },
+            body: (record) => record,
+            validation: () => galleryValidation,
+            keys: (record) => [record.id !== undefined ? `id:${record.id}` : record.image_url],
+            check: (record, existing) => {
+                if (record.image_url !== undefined && !uploadExists(record.image_url)) {
+                    return 'image_url must be an uploaded file (/uploads/...)';
+                }
+                if (!existing && record.image_url === undefined) {
+                    return 'New gallery images need an image_url';
+                }
+                return null;
+            },
+            apply: (record, existing) => {
+                const fields = {
+                    title: record.title !== undefined ? sanitizeInput(record.title) : (existing ? existing.title : 'Untitled Image'),
+                    category: record.category !== undefined ? sanitizeInput(record.category) : (existing ? existing.category : 'styling'),
+                    published: catalogue.flag(record.published, existing ? existing.published !== false : true)
+                };
+                if (record.image_url !== undefined) {
+                    fields.image_url = record.image_url;
+                    fields.image_variants = images.variantsFor(record.image_url);
+                }
+                return existing ? db.update('gallery', existing.id, fields) : db.insert('gallery', fields);
+            }
+        }
+    };
+
+    return {
+        // Middleware: 404 for tables that can't be imported or exported, else checks the
+        // admin may change the table
+        requireImporter: (req, res, next) => {
+            const importer = Object.prototype.hasOwnProperty.call(importers, req.params.table) ? importers[req.params.table] : null;
+            if (!importer) {
+                return res.status(404).json({ error: `Nothing to import or export for "${req.params.table}"` });
+            }
+            requirePermission(importer.permission)(req, res, next);
+        },
+
+        // Middleware: reads the import file (multipart field "file") into req.file, answering
+        // 400 for files that aren't .csv/.json or are too big
+        readFile: (req, res, next) => {
+            upload.single('file')(req, res, (error) => {
+                if (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                next();
+            });
+        },
+
+        // Checks every record first; nothing is written if any record is invalid or it is a dry
+        // run. Records are then written in file order, stopping at the first that fails to
+        // write, so `applied` on each result says exactly which ones are in the data.
+        // Returns { ok, summary, results: [{ lines, key, action, applied, errors }] }
+        run: async (table, records, { mode, dryRun, admin }) => {
+            const importer = importers[table];
+            const seen = new Set();
+            const planned = [];
+
+            for (const record of records) {
+                const { lines, ...given } = record;
+                const errors = [];
+                const found = importer.find(given);
+                if (found.error) errors.push(found.error);
+                const existing = found.existing || null;
+                if (existing && mode === 'create') {
+                    errors.push(`${found.key} already exists; import with mode "upsert" to update it`);
+                }
+                importer.keys(given).filter(Boolean).forEach(key => {
+                    if (seen.has(key)) errors.push(`${key} appears more than once in the file`);
+                    seen.add(key);
+                });
+
+                const req = { body: importer.body(given, existing) };
+                for (const chain of importer.validation(existing)) {
+                    await chain.run(req);
+                }
+                validationResult(req).array().forEach(error => errors.push(`${error.path}: ${error.msg}`));
+                if (!errors.length) {
+                    const problem = importer.check(req.body, existing);
+                    if (problem) errors.push(problem);
+                }
+
+                planned.push({ lines, key: found.key, action: existing ? 'update' : 'create', applied: false, errors, record: req.body, existing, given });
+            }
+
+            const invalid = planned.some(item => item.errors.length);
+            let failed = null;
+            if (!dryRun && !invalid) {
+                for (const item of planned) {
+                    try {
+                        importer.apply(item.record, item.existing, admin, item.given);
+                        item.applied = true;
+                    } catch (error) {
+                        console.error(`Error importing ${table} ${item.key}:`, error);
+                        item.errors.push(`Could not be written: ${error.message}`);
+                        failed = item;
+                        break;
+                    }
+                }
+                if (failed) {
+                    planned.filter(item => !item.applied && item !== failed)
+                        .forEach(item => item.errors.push('Not imported because an earlier record failed'));
+                }
+            }
+
+            const imported = planned.filter(item => item.applied).length;
+            return {
+                ok: !invalid && !failed,
+                summary: {
+                    records: planned.length,
+                    create: planned.filter(item => item.action === 'create').length,
+                    update: planned.filter(item => item.action === 'update').length,
+                    errors: planned.filter(item => item.errors.length).length,
+                    // Only between 0 and records if writing failed part-way
+                    imported,
+                    stopped_at: failed ? failed.lines : null
+                },
+                // Keys and messages can quote the file, which the dashboard shows as HTML
+                results: planned.map(({ lines, key, action, applied, errors }) => ({
+                    lines,
+                    key: sanitizeInput(key),
+                    action,
+                    applied,
+                    errors: errors.map(sanitizeInput)
+                }))
+            };
+        }
+    };
+}
+
+module.exports = createImporters;
@@ -0,0 +1,159 @@
+const db = require('./database');
+
+// Products are sold as variants (length / colour / density), each with its own SKU, price
+// and stock. Stock only changes through adjust(), which writes a stock_movements entry;
+// the product's price, price_max, stock and in_stock are derived from its variants.
+const config = {
+    lowStockThreshold: parseInt(process.env.LOW_STOCK_THRESHOLD) || 3
+};
+
+const REASONS = ['initial', 'restock', 'sale', 'return', 'damaged', 'correction'];
+
+const VARIANT_FIELDS = ['length', 'colour', 'density'];
+
+function normalizeSku(sku) {
+    return String(sku || '').trim().toUpperCase();
+}
+
+function logMovement(product, variant, change, { reason, note = '', admin = null, orderId = null }) {
+    return db.insert('stock_movements', {
+        product_id: product.id,
+        sku: variant.sku,
+        change,
+        quantity_after: variant.stock,
+        reason,
+        note,
+        order_id: orderId,
+        admin_id: admin ? admin.id : null
+    });
+}
+
+const inventory = {
+    config,
+    REASONS,
+    VARIANT_FIELDS,
+    normalizeSku,
+
+    // Fields derived from the variants; products created before variants existed keep theirs
+    totals: (variants) => {
+        if (!variants || !variants.length) return {};
+        const prices = variants.map(variant => variant.price);
+        const stock = variants.reduce((total, variant) => total + variant.stock, 0);
+        return {
+            price: Math.min(...prices),
+            price_max: Math.max(...prices),
+            stock,
+            in_stock: stock > 0
+        };
+    },
+
+    // Category slugs products may use, from product_categories
+    categorySlugs: ({ activeOnly = true } = {}) => db.read('product_categories')
+        .filter(category => !activeOnly || category.active !== false)
+        .map(category => category.slug),
+
+    isCategory: (slug) => inventory.categorySlugs().includes(slug),
+
+    // SKUs among `skus` that already belong to a product other than exceptProductId
+    takenSkus: (skus, exceptProductId = null) => {
+        const taken = new Set();
+        db.read('products').forEach(product => {
+            if (product.id === exceptProductId) return;
+            (product.variants || []).forEach(variant => taken.add(variant.sku));
+        });
+        return skus.filter(sku => taken.has(sku));
+    },
+
+    // Builds the variants to store from request input. Stock of SKUs the product already
+    // has is kept (it only changes through adjust()); new SKUs start at the given stock.
+    // Returns { variants, opening: [{ sku, stock }] }
+    buildVariants: (input, existing = []) => {
+        const opening = [];
+        const variants = input.map(item => {
+            const sku = normalizeSku(item.sku);
+            const current = existing.find(variant => variant.sku === sku);
+            const variant = { sku, price: parseFloat(item.price) };
+            VARIANT_FIELDS.forEach(field => {
+                variant[field] = item[field] ? String(item[field]).trim() : '';
+            });
+            if (current) {
+                variant.stock = current.stock;
+            } else {
+                variant.stock = parseInt(item.stock) || 0;
+                opening.push({ sku, stock: variant.stock });
+            }
+            return variant;
+        });
+        return { variants, opening };
+    },
+
+    // Logs the starting stock of newly added variants
+    logOpeningStock: (product, opening, admin) => {
+        opening.filter(item => item.stock > 0).forEach(item => {
+            const variant = product.variants.find(candidate => candidate.sku === item.sku);
+            logMovement(product, variant, item.stock, { reason: 'initial', admin });
+        });
+    },
+
+    // Changes one variant's stock by `change` (negative to take stock out) and logs why.
+    // Returns { ok: true, product, movement } or { ok: false, status, message }
+    adjust: (productId, sku, change, options = {}) => {
+        const product = db.findById('products', productId);
+        if (!product) {
+            return { ok: false, status: 404, message: 'Product not found' };
+        }
+
+        if (!REASONS.includes(options.reason)) {
+            return { ok: false, status: 400, message: `Reason must be one of: ${REASONS.join(', ')}` };
+        }
+
+        const variants = (product.variants || []).map(variant => ({ ...variant }));
+        const variant = variants.find(candidate => candidate.sku === normalizeSku(sku));
+        if (!variant) {
+            return { ok: false, status: 404, message: `Product has no variant with SKU ${normalizeSku(sku)}` };
+        }
+
+        if (variant.stock + change < 0) {
+            return { ok: false, status: 409, message: `Only ${variant.stock} of ${variant.sku} in stock` };
+        }
+
+        variant.stock += change;
+        try {
+            const updated = db.update('products', product.id, { variants, ...inventory.totals(variants) }, {
+                expectedVersion: product.version || 0
+            });
+            const movement = logMovement(updated, variant, change, options);
+            return { ok: true, product: updated, movement };
+        } catch (error) {
+            if (error.code !== 'STALE_WRITE') throw error;
+            return { ok: false, status: 409, message: 'This product was changed by someone else, please try again' };
+        }
+    },
+
+    // Variants at or below their product's threshold (low_stock_threshold or LOW_STOCK_THRESHOLD)
+    lowStock: () => {
+        const alerts = [];
+        db.read('products').forEach(product => {
+            const threshold = product.low_stock_threshold !== undefined && product.low_stock_threshold !== null
+                ? product.low_stock_threshold
+                : config.lowStockThreshold;
+            (product.variants || []).forEach(variant => {
+                if (variant.stock > threshold) return;
+                alerts.push({
+                    product_id: product.id,
+                    product_name: product.name,
+                    sku: variant.sku,
+                    length: variant.length,
+                    colour: variant.colour,
+                    density: variant.density,
+                    stock: variant.stock,
+                    threshold,
+                    out_of_stock: variant.stock === 0
+                });
+            });
+        });
+        return alerts.sort((a, b) => a.stock - b.stock || a.sku.localeCompare(b.sku));
+    }
+};
+
+module.exports = inventory;
@@ -0,0 +1,98 @@
+const query = require('./storage/query');
+
+// Turns list endpoint query strings into db.query() options, e.g.
+// ?status=pending,confirmed&from=2026-10-01&to=2026-10-31&price_min=5000&sort=-booking_date&limit=20
+//
+// spec = {
+//     filters: { status: 'string', in_stock: 'boolean' },   // ?field=a,b
+//     ranges: { price: 'number' },                          // ?price_min=&price_max=
+//     dateField: 'booking_date', timestamp: false,          // ?from=&to= (YYYY-MM-DD)
+//     sortable: ['booking_date', 'created_at'], defaultSort: '-created_at',
+//     defaultLimit: 50
+// }
+
+const DEFAULT_LIMIT = 50;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+function coerce(value, type, name) {
+    if (type === 'number') {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) throw invalid(`${name} must be a number`);
+        return number;
+    }
+    if (type === 'boolean') {
+        if (value !== 'true' && value !== 'false') throw invalid(`${name} must be true or false`);
+        return value === 'true';
+    }
+    return String(value);
+}
+
+function parseInteger(value, name, min, max) {
+    if (!/^\d+$/.test(String(value))) throw invalid(`${name} must be a whole number`);
+    const number = parseInt(value);
+    if (number < min || number > max) throw invalid(`${name} must be between ${min} and ${max}`);
+    return number;
+}
+
+function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+}
+
+const listQuery = {
+    parse: (params = {}, spec = {}) => {
+        const options = { filters: { ...(spec.baseFilters || {}) }, ranges: {}, sort: [] };
+
+        Object.entries(spec.filters || {}).forEach(([field, type]) => {
+            if (params[field] === undefined || params[field] === '') return;
+            const values = String(params[field]).split(',').map(value => coerce(value.trim(), type, field));
+            options.filters[field] = values;
+        });
+
+        Object.entries(spec.ranges || {}).forEach(([field, type]) => {
+            const range = {};
+            if (params[`${field}_min`] !== undefined) range.gte = coerce(params[`${field}_min`], type, `${field}_min`);
+            if (params[`${field}_max`] !== undefined) range.lte = coerce(params[`${field}_max`], type, `${field}_max`);
+            if (Object.keys(range).length) options.ranges[field] = range;
+        });
+
+        if (spec.dateField && (params.from || params.to)) {
+            if ((params.from && !isDate(params.from)) || (params.to && !isDate(params.to))) {
+                throw invalid('from and to must be YYYY-MM-DD');
+            }
+            const range = options.ranges[spec.dateField] || {};
+            if (params.from) range.gte = params.from;
+            // Timestamps on the "to" day are later than the bare date, so include the whole day
+            if (params.to) range.lte = spec.timestamp ? `${params.to}T23:59:59.999Z` : params.to;
+            options.ranges[spec.dateField] = range;
+        }
+
+        const sortParam = params.sort || spec.defaultSort || '';
+        options.sort = String(sortParam).split(',').map(key => key.trim()).filter(Boolean).map(key => {
+            const direction = key.startsWith('-') ? 'desc' : 'asc';
+            const field = key.replace(/^[-+]/, '');
+            if (!(spec.sortable || []).includes(field)) {
+                throw invalid(`Cannot sort by "${field}"`);
+            }
+            return { field, direction };
+        });
+
+        options.limit = params.limit !== undefined
+            ? parseInteger(params.limit, 'limit', 1, query.MAX_LIMIT)
+            : (spec.defaultLimit || DEFAULT_LIMIT);
+
+        if (params.cursor) {
+            options.cursor = String(params.cursor);
+        } else if (params.offset !== undefined) {
+            options.offset = parseInteger(params.offset, 'offset', 0, Number.MAX_SAFE_INTEGER);
+        }
+
+        return options;
+    }
+};
+
+module.exports = listQuery;
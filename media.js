@@ -0,0 +1,236 @@
+const path = require('path');
+const fs = require('fs-extra');
+const db = require('./database');
+const fileSignatures = require('./file-signatures');
+
+// Every file in uploads/ has a media record listing the URLs it consists of (an image's
+// WebP variants, or the single video file) and the records that currently point at it.
+// References are kept up to date from database change events, so routes only have to
+// register new uploads. Files nobody references are purged after a grace period.
+const uploadsDir = path.join(__dirname, 'uploads');
+
+const config = {
+    graceHours: parseFloat(process.env.MEDIA_ORPHAN_GRACE_HOURS) || 24
+};
+
+// Fields that can hold an /uploads/ URL (or an object of variant URLs), per table
+const MEDIA_FIELDS = {
+    products: ['image_url', 'image_variants'],
+    gallery: ['image_url', 'image_variants'],
+    videos: ['video_url', 'thumbnail_url', 'thumbnail_variants'],
+    profiles: ['photo_url', 'photo_variants']
+};
+
+const VARIANT_FILE = /^(.+)-(thumb|medium|large)\.webp$/;
+
+function urlsOf(table, record) {
+    const urls = new Set();
+    if (!record) return urls;
+    MEDIA_FIELDS[table].forEach(field => {
+        const value = record[field];
+        const values = value && typeof value === 'object' ? Object.values(value) : [value];
+        values.forEach(url => {
+            if (typeof url === 'string' && url.startsWith('/uploads/')) urls.add(url);
+        });
+    });
+    return urls;
+}
+
+function sameReference(ref, table, id) {
+    return ref.table === table && ref.id === id;
+}
+
+function saveReferences(item, references) {
+    const before = item.references || [];
+    if (before.length === references.length && references.every(ref => before.some(old => sameReference(old, ref.table, ref.id)))) {
+        return;
+    }
+
+    db.update('media', item.id, {
+        references,
+        unreferenced_since: references.length ? null : (item.unreferenced_since || new Date().toISOString())
+    });
+}
+
+// Adds or removes the { table, id } reference on one media record
+function setReference(item, table, id, referenced) {
+    const references = (item.references || []).filter(ref => !sameReference(ref, table, id));
+    if (referenced) references.push({ table, id });
+    saveReferences(item, references);
+}
+
+function trackChange(change) {
+    if (!MEDIA_FIELDS[change.table]) return;
+
+    if (change.action === 'replace') {
+        media.refreshReferences();
+        return;
+    }
+
+    const before = urlsOf(change.table, change.before);
+    const after = urlsOf(change.table, change.after);
+    if (!before.size && !after.size) return;
+
+    db.read('media').forEach(item => {
+        const files = item.files || [];
+        if (!files.some(url => before.has(url) || after.has(url))) return;
+        setReference(item, change.table, change.id, files.some(url => after.has(url)));
+    });
+}
+
+db.onChange(trackChange);
+
+function fileSize(url) {
+    try {
+        return fs.statSync(path.join(uploadsDir, path.basename(url))).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+const media = {
+    config,
+    MEDIA_FIELDS,
+
+    // The /uploads/ URLs a record of one of the MEDIA_FIELDS tables points at
+    urlsOf,
+
+    // Records a new upload. url is the file to link to; variants (if any) are all of its
+    // files. It counts as unreferenced until a record points at it.
+    register: ({ kind, url, variants, mime_type, width, height, duration_seconds, original_name, admin }) => {
+        const files = variants ? Object.values(variants) : [url];
+        return db.insert('media', {
+            kind,
+            url,
+            files,
+            variants: variants || null,
+            mime_type: mime_type || null,
+            size: files.reduce((total, file) => total + fileSize(file), 0),
+            width: width || null,
+            height: height || null,
+            duration_seconds: duration_seconds || null,
+            original_name: original_name || null,
+            uploaded_by: admin ? admin.id : null,
+            source: 'upload',
+            references: [],
+            unreferenced_since: new Date().toISOString()
+        });
+    },
+
+    // Recomputes every media record's references from the referencing tables
+    refreshReferences: () => {
+        const referencing = new Map();
+        Object.keys(MEDIA_FIELDS).forEach(table => {
+            db.read(table).forEach(record => {
+                urlsOf(table, record).forEach(url => {
+                    if (!referencing.has(url)) referencing.set(url, []);
+                    referencing.get(url).push({ table, id: record.id });
+                });
+            });
+        });
+
+        db.read('media').forEach(item => {
+            const references = [];
+            (item.files || []).forEach(url => {
+                (referencing.get(url) || []).forEach(ref => {
+                    if (!references.some(existing => sameReference(existing, ref.table, ref.id))) references.push(ref);
+                });
+            });
+            saveReferences(item, references);
+        });
+    },
+
+    // Brings the table in line with uploads/: files uploaded before the media table existed
+    // are registered (unreferenced since their modification time), records whose files are
+    // all gone are dropped, and references are recomputed
+    sync: async () => {
+        await fs.ensureDir(uploadsDir);
+        const names = (await fs.readdir(uploadsDir)).filter(name => !name.startsWith('.'));
+        const tracked = new Set();
+        db.read('media').forEach(item => {
+            const present = (item.files || []).filter(url => names.includes(path.basename(url)));
+            if (!present.length) {
+                db.delete('media', item.id);
+                return;
+            }
+            present.forEach(url => tracked.add(path.basename(url)));
+        });
+
+        const groups = new Map();
+        names.filter(name => !tracked.has(name)).forEach(name => {
+            const variant = VARIANT_FILE.exec(name);
+            const key = variant ? variant[1] : name;
+            if (!groups.has(key)) groups.set(key, { variants: {}, files: [] });
+            const group = groups.get(key);
+            if (variant) group.variants[variant[2]] = `/uploads/${name}`;
+            group.files.push(name);
+        });
+
+        for (const group of groups.values()) {
+            const stats = await Promise.all(group.files.map(name => fs.stat(path.join(uploadsDir, name))));
+            if (!stats.every(stat => stat.isFile())) continue;
+            const type = await fileSignatures.detectFile(path.join(uploadsDir, group.files[0])).catch(() => null);
+            const hasVariants = Object.keys(group.variants).length === group.files.length;
+            const newest = Math.max(...stats.map(stat => stat.mtimeMs));
+
+            db.insert('media', {
+                kind: type ? type.kind : 'file',
+                url: hasVariants ? (group.variants.large || Object.values(group.variants)[0]) : `/uploads/${group.files[0]}`,
+                files: group.files.map(name => `/uploads/${name}`),
+                variants: hasVariants ? group.variants : null,
+                mime_type: type ? type.mime : null,
+                size: stats.reduce((total, stat) => total + stat.size, 0),
+                width: null,
+                height: null,
+                duration_seconds: null,
+                original_name: null,
+                uploaded_by: null,
+                source: 'scan',
+                references: [],
+                unreferenced_since: new Date(newest).toISOString()
+            });
+        }
+
+        media.refreshReferences();
+    },
+
+    // Media nobody has referenced for at least graceHours
+    findOrphans: ({ graceHours = config.graceHours, now = Date.now() } = {}) => {
+        const cutoff = now - graceHours * 60 * 60 * 1000;
+        return db.read('media').filter(item =>
+            !(item.references || []).length &&
+            item.unreferenced_since &&
+            new Date(item.unreferenced_since).getTime() <= cutoff
+        );
+    },
+
+    // Lists (dryRun) or deletes orphaned files and their media records
+    cleanup: async ({ dryRun = true, graceHours = config.graceHours } = {}) => {
+        await media.sync();
+        const orphans = media.findOrphans({ graceHours });
+
+        if (!dryRun) {
+            for (const item of orphans) {
+                await Promise.all(item.files.map(url => fs.remove(path.join(uploadsDir, path.basename(url)))));
+                db.delete('media', item.id);
+            }
+        }
+
+        return {
+            ok: true,
+            dry_run: dryRun,
+            grace_hours: graceHours,
+            count: orphans.length,
+            bytes: orphans.reduce((total, item) => total + (item.size || 0), 0),
+            orphans: orphans.map(item => ({
+                id: item.id,
+                url: item.url,
+                files: item.files,
+                size: item.size,
+                unreferenced_since: item.unreferenced_since
+            }))
+        };
+    }
+};
+
+module.exports = media;
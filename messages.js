@@ -0,0 +1,111 @@
+const db = require('./database');
+const notifications = require('./notifications');
+const services = require('./services');
+
+// Contact form messages and the admin inbox. A message is unread until someone opens or
+// answers it, and archived once dealt with. Replies go out by email through the
+// notifications outbox and are kept on the message with their delivery status.
+const STATUSES = ['unread', 'read', 'archived'];
+
+const messages = {
+    STATUSES,
+
+    // Stores a contact form message and tells the staff about it.
+    // Returns { ok: true, message } or { ok: false, status, message }
+    create: ({ name, email, phone, service_id, message }, { ip = '' } = {}) => {
+        let service = null;
+        if (service_id !== undefined && service_id !== null && service_id !== '') {
+            service = services.findActive(service_id);
+            if (!service) {
+                return { ok: false, status: 400, message: 'Unknown service' };
+            }
+        }
+
+        const record = db.insert('messages', {
+            name,
+            email,
+            phone: phone || '',
+            service_id: service ? service.id : null,
+            service_name: service ? service.name : '',
+            message,
+            status: 'unread',
+            ip,
+            replies: [],
+            read_at: null,
+            archived_at: null
+        });
+
+        notifications.notify('message.received', {
+            ...record,
+            phone_text: record.phone ? `, ${record.phone}` : '',
+            service_line: record.service_name ? `\nService: ${record.service_name}` : '',
+            inbox_link: `${notifications.config.siteUrl}/admin/dashboard.html#inbox`
+        }, { relatedTable: 'messages', relatedId: record.id });
+
+        return { ok: true, message: record };
+    },
+
+    // Marks a message unread, read or archived.
+    // Returns { ok: true, message } or { ok: false, status, message }
+    setStatus: (id, status, { expectedVersion } = {}) => {
+        const record = db.findById('messages', id);
+        if (!record) {
+            return { ok: false, status: 404, message: 'Message not found' };
+        }
+        if (!STATUSES.includes(status)) {
+            return { ok: false, status: 400, message: `Status must be one of: ${STATUSES.join(', ')}` };
+        }
+
+        const now = new Date().toISOString();
+        try {
+            const updated = db.update('messages', record.id, {
+                status,
+                read_at: status === 'unread' ? null : (record.read_at || now),
+                archived_at: status === 'archived' ? (record.archived_at || now) : null
+            }, { expectedVersion: expectedVersion !== undefined ? expectedVersion : (record.version || 0) });
+            return { ok: true, message: updated };
+        } catch (error) {
+            if (error.code !== 'STALE_WRITE') throw error;
+            return { ok: false, status: 409, message: 'This message was changed by someone else, please reload' };
+        }
+    },
+
+    // Emails a reply to the sender and records it on the message (which counts as read).
+    // Returns { ok: true, message, notification } or { ok: false, status, message }
+    reply: async (id, { subject, text, admin }) => {
+        const record = db.findById('messages', id);
+        if (!record) {
+            return { ok: false, status: 404, message: 'Message not found' };
+        }
+
+        const [notification] = await notifications.notify('message.reply', {
+            customer_name: record.name,
+            customer_email: record.email,
+            subject: subject || `Re: your message to Deny's Beauty World`,
+            reply_text: text,
+            original_message: record.message
+        }, { relatedTable: 'messages', relatedId: record.id });
+
+        if (!notification) {
+            return { ok: false, status: 500, message: 'The reply could not be queued' };
+        }
+
+        // Re-read: the notification is written in between, and the sender may not wait
+        const current = db.findById('messages', record.id);
+        const updated = db.update('messages', current.id, {
+            status: current.status === 'unread' ? 'read' : current.status,
+            read_at: current.read_at || new Date().toISOString(),
+            replies: [...(current.replies || []), {
+                at: new Date().toISOString(),
+                admin_id: admin ? admin.id : null,
+                subject: notification.subject,
+                text,
+                notification_id: notification.id,
+                delivery_status: notification.status
+            }]
+        });
+        return { ok: true, message: updated, notification };
+    }
+};
+
+module.exports = messages;
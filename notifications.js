@@ -0,0 +1,296 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const db = require('./database');
+const { decodeHtml } = require('./csv');
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Transports: email -> smtp | file | console, sms/whatsapp -> gateway | file | console
+const config = {
+    emailTransport: process.env.NOTIFY_EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+    smsTransport: process.env.NOTIFY_SMS_TRANSPORT || (process.env.SMS_GATEWAY_URL ? 'gateway' : 'console'),
+    customerChannel: process.env.NOTIFY_CUSTOMER_CHANNEL || 'whatsapp',
+    outboxDir: process.env.NOTIFY_OUTBOX_DIR || path.join(__dirname, 'data', 'outbox'),
+    mailFrom: process.env.MAIL_FROM || "Deny's Beauty World <no-reply@denysbeautyworld.com>",
+    staffEmails: parseList(process.env.STAFF_EMAILS),
+    staffPhones: parseList(process.env.STAFF_PHONES),
+    siteUrl: (process.env.SITE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '')
+};
+
+// Message templates per event; {{field}} is replaced from the event data
+const templates = {
+    'booking.created': {
+        customer: {
+            subject: 'We received your booking',
+            text: "Hi {{customer_name}}, thank you for booking {{service_name}} with Deny's Beauty World on {{booking_date}} at {{booking_time}}. We will confirm shortly.\n\nView, reschedule or cancel: {{manage_link}}"
+        },
+        staff: {
+            subject: 'New booking: {{customer_name}} ({{service_name}})',
+            text: 'New booking from {{customer_name}} ({{customer_phone}}) for {{service_name}} on {{booking_date}} at {{booking_time}}.\nNotes: {{notes}}'
+        }
+    },
+    'booking.status_changed': {
+        customer: {
+            subject: 'Your booking is now {{status}}',
+            text: 'Hi {{customer_name}}, your {{service_name}} appointment on {{booking_date}} at {{booking_time}} is now {{status}}.{{reason_line}}'
+        },
+        staff: {
+            subject: 'Booking {{status}}: {{customer_name}}',
+            text: 'Booking #{{id}} for {{customer_name}} ({{service_name}}, {{booking_date}} {{booking_time}}) changed from {{previous_status}} to {{status}} by {{actor}}.{{reason_line}}'
+        }
+    },
+    'booking.rescheduled': {
+        customer: {
+            subject: 'Your booking has been moved',
+            text: 'Hi {{customer_name}}, your {{service_name}} appointment is now on {{booking_date}} at {{booking_time}}.'
+        },
+        staff: {
+            subject: 'Booking rescheduled: {{customer_name}}',
+            text: 'Booking #{{id}} for {{customer_name}} ({{service_name}}) moved from {{previous_date}} {{previous_time}} to {{booking_date}} {{booking_time}}.'
+        }
+    },
+    'order.created': {
+        customer: {
+            subject: 'We received your order {{order_number}}',
+            text: "Hi {{customer_name}}, thank you for your order {{order_number}} at Deny's Beauty World: {{items_text}}. Total: {{total_text}}. We will contact you to confirm payment and {{delivery_method}}."
+        },
+        staff: {
+            subject: 'New order {{order_number}}: {{customer_name}} ({{total_text}})',
+            text: 'New order {{order_number}} from {{customer_name}} ({{customer_phone}}): {{items_text}}. Total: {{total_text}}, {{delivery_method}}.\nAddress: {{delivery_address}}\nNotes: {{notes}}'
+        }
+    },
+    'order.status_changed': {
+        customer: {
+            subject: 'Your order {{order_number}} is now {{status}}',
+            text: 'Hi {{customer_name}}, your order {{order_number}} ({{total_text}}) is now {{status}}.{{reason_line}}'
+        },
+        staff: {
+            subject: 'Order {{order_number}} {{status}}',
+            text: 'Order {{order_number}} for {{customer_name}} changed from {{previous_status}} to {{status}}.{{reason_line}}'
+        }
+    },
+    'message.received': {
+        staff: {
+            subject: 'New message from {{name}}',
+            text: 'New contact form message from {{name}} ({{email}}{{phone_text}}).{{service_line}}\n\n{{message}}\n\nReply from the inbox: {{inbox_link}}'
+        }
+    },
+    'message.reply': {
+        customer: {
+            subject: '{{subject}}',
+            text: "Hi {{customer_name}},\n\n{{reply_text}}\n\nDeny's Beauty World\n\n> {{original_message}}"
+        }
+    },
+    'admin.password_reset': {
+        admin: {
+            subject: 'Reset your admin password',
+            text: "Hi {{full_name}}, we received a request to reset the password for your Deny's Beauty World admin account.\n\nChoose a new password here: {{reset_link}}\nThe link works once and expires in {{expires_minutes}} minutes.\n\nIf you did not ask for this, you can ignore this email."
+        }
+    },
+    'admin.password_changed': {
+        admin: {
+            subject: 'Your admin password was changed',
+            text: "Hi {{full_name}}, the password for your Deny's Beauty World admin account was just changed and all signed-in devices were logged out.\n\nIf this was not you, contact the salon owner straight away."
+        }
+    }
+};
+
+// Messages are plain text, so stored text (HTML-escaped for the admin UI, see sanitizeInput
+// in server.js) goes out as it was typed
+function render(template, data) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) =>
+        data[key] === undefined || data[key] === null ? '' : decodeHtml(String(data[key]))
+    );
+}
+
+let smtpTransporter = null;
+
+const transports = {
+    console: async (message) => {
+        console.log(`[notify:${message.channel}] to ${message.to}: ${message.subject ? message.subject + ' - ' : ''}${message.text}`);
+        return {};
+    },
+
+    file: async (message) => {
+        await fs.ensureDir(config.outboxDir);
+        const name = `${Date.now()}-${message.channel}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.writeJson(path.join(config.outboxDir, name), { ...message, written_at: new Date().toISOString() }, { spaces: 2 });
+        return { file: name };
+    },
+
+    smtp: async (message) => {
+        if (!smtpTransporter) {
+            smtpTransporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+            });
+        }
+        const info = await smtpTransporter.sendMail({
+            from: config.mailFrom,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            attachments: message.attachments
+        });
+        return { provider_id: info.messageId };
+    },
+
+    gateway: async (message) => {
+        const response = await fetch(process.env.SMS_GATEWAY_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {})
+            },
+            body: JSON.stringify({ channel: message.channel, to: message.to, message: message.text })
+        });
+        if (!response.ok) {
+            throw new Error(`Gateway responded with ${response.status}`);
+        }
+        const data = await response.json().catch(() => ({}));
+        return { provider_id: data.id || data.message_id || '' };
+    }
+};
+
+function transportFor(channel) {
+    return channel === 'email' ? config.emailTransport : config.smsTransport;
+}
+
+// Who receives a message for each audience on which channel
+function recipients(audience, data) {
+    if (audience === 'admin') {
+        return data.admin_email ? [{ channel: 'email', to: data.admin_email }] : [];
+    }
+
+    if (audience === 'staff') {
+        return [
+            ...config.staffEmails.map(to => ({ channel: 'email', to })),
+            ...config.staffPhones.map(to => ({ channel: config.customerChannel, to }))
+        ];
+    }
+
+    const list = [];
+    if (data.customer_phone) list.push({ channel: config.customerChannel, to: data.customer_phone });
+    if (data.customer_email) list.push({ channel: 'email', to: data.customer_email });
+    return list;
+}
+
+// Messages that may be re-sent: failed ones, and queued ones that never got an outcome
+// (e.g. the server stopped mid-send). A sent message is never sent twice.
+const RETRYABLE_STATUSES = ['failed', 'queued'];
+
+// Sends one outbox record and stores the outcome on it; text overrides the stored body
+async function deliver(record, attachments, text = record.body) {
+    const transport = transports[record.transport];
+    try {
+        if (!transport) {
+            throw new Error(`Unknown transport "${record.transport}"`);
+        }
+        const result = await transport({
+            channel: record.channel,
+            to: record.recipient,
+            subject: record.subject,
+            text,
+            attachments
+        });
+        return db.update('notifications', record.id, {
+            status: 'sent',
+            attempts: (record.attempts || 0) + 1,
+            sent_at: new Date().toISOString(),
+            provider_id: result.provider_id || result.file || '',
+            error: ''
+        });
+    } catch (error) {
+        console.error(`Notification ${record.id} failed:`, error.message);
+        return db.update('notifications', record.id, {
+            status: 'failed',
+            attempts: (record.attempts || 0) + 1,
+            error: error.message
+        });
+    }
+}
+
+const notifications = {
+    config,
+    templates,
+    transports,
+    render,
+
+    // Renders the event's templates for customers and staff, records each message
+    // in the outbox and sends it. Never rejects, so callers can fire and forget.
+    // options.secretFields are sent but stored as [hidden] (e.g. one-time links).
+    notify: async (event, data = {}, options = {}) => {
+        const eventTemplates = templates[event];
+        if (!eventTemplates) {
+            console.error(`No notification templates for event "${event}"`);
+            return [];
+        }
+
+        const values = {
+            ...data,
+            reason_line: data.reason ? `\nReason: ${data.reason}` : '',
+            manage_link: data.manage_url ? `${config.siteUrl}${data.manage_url}` : ''
+        };
+        const secretFields = options.secretFields || [];
+        const storedValues = { ...values };
+        secretFields.forEach(field => { storedValues[field] = '[hidden]'; });
+        const records = [];
+
+        try {
+            for (const audience of Object.keys(eventTemplates)) {
+                const template = eventTemplates[audience];
+                // Only messages that include a secret lose it; the others can still be retried
+                const redacted = secretFields.some(field => `${template.subject || ''}${template.text}`.includes(`{{${field}}}`));
+                for (const { channel, to } of recipients(audience, values)) {
+                    const record = db.insert('notifications', {
+                        event,
+                        audience,
+                        channel,
+                        transport: transportFor(channel),
+                        recipient: to,
+                        subject: render(template.subject, storedValues),
+                        body: render(template.text, storedValues),
+                        related_table: options.relatedTable || '',
+                        related_id: options.relatedId || null,
+                        status: 'queued',
+                        attempts: 0,
+                        redacted
+                    });
+                    records.push(await deliver(
+                        record,
+                        channel === 'email' ? options.attachments : undefined,
+                        render(template.text, values)
+                    ));
+                }
+            }
+        } catch (error) {
+            console.error(`Error sending "${event}" notifications:`, error);
+        }
+
+        return records;
+    },
+
+    // Re-sends a failed or queued outbox message.
+    // Returns { ok: true, notification } or { ok: false, status, message }
+    retry: async (id) => {
+        const record = db.findById('notifications', id);
+        if (!record) return { ok: false, status: 404, message: 'Notification not found' };
+        if (!RETRYABLE_STATUSES.includes(record.status)) {
+            return { ok: false, status: 409, message: `Only failed or queued messages can be re-sent, this one is ${record.status}` };
+        }
+        // The stored copy no longer has the secret, so re-sending it would be useless
+        if (record.redacted) {
+            return { ok: false, status: 409, message: 'This message contained a one-time link and cannot be re-sent' };
+        }
+        const notification = await deliver(db.update('notifications', record.id, { transport: transportFor(record.channel) }));
+        return { ok: true, notification };
+    }
+};
+
+module.exports = notifications;
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const db = require('./database');
+const roles = require('./roles');
+
+// ID tokens come from the provider at OIDC_ISSUER (or AUTH0_DOMAIN), issued for the client
+// OIDC_AUDIENCE (or AUTH0_CLIENT_ID); sign-in with a provider is off until both are set.
+// Point OIDC_JWKS_FILE at a local key set (see scripts/oidc-dev-token.js) to sign test
+// tokens without a provider.
+const issuer = process.env.OIDC_ISSUER || (process.env.AUTH0_DOMAIN ? `https://${process.env.AUTH0_DOMAIN}/` : '');
+
+const config = {
+    issuer,
+    audience: process.env.OIDC_AUDIENCE || process.env.AUTH0_CLIENT_ID || '',
+    jwksUri: process.env.OIDC_JWKS_URI || (issuer ? `${issuer.replace(/\/$/, '')}/.well-known/jwks.json` : ''),
+    jwksFile: process.env.OIDC_JWKS_FILE || '',
+    clockToleranceSeconds: parseInt(process.env.OIDC_CLOCK_TOLERANCE_SECONDS) || 60,
+    // Emails allowed to sign in even without an admin record (one is created on first login),
+    // and to create the first admin account
+    allowedEmails: (process.env.ADMIN_EMAILS || '')
+        .split(',').map(email => email.trim().toLowerCase()).filter(Boolean),
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'stylist'
+};
+
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+// Don't refetch more often than this when a token names an unknown key
+const JWKS_REFRESH_MS = 30 * 1000;
+
+const ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+let keyCache = { keys: [], fetchedAt: 0 };
+
+function fail(message, status = 401) {
+    return { ok: false, status, message };
+}
+
+function decodePart(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+async function loadKeys({ refresh = false } = {}) {
+    if (config.jwksFile) {
+        return fs.readJsonSync(config.jwksFile).keys || [];
+    }
+
+    const age = Date.now() - keyCache.fetchedAt;
+    if (age < JWKS_CACHE_MS && !(refresh && age > JWKS_REFRESH_MS)) {
+        return keyCache.keys;
+    }
+
+    const response = await fetch(config.jwksUri);
+    if (!response.ok) {
+        throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    const body = await response.json();
+    keyCache = { keys: Array.isArray(body.keys) ? body.keys : [], fetchedAt: Date.now() };
+    return keyCache.keys;
+}
+
+function pickKey(keys, header) {
+    const usable = keys.filter(key => !key.use || key.use === 'sig');
+    if (header.kid) return usable.find(key => key.kid === header.kid) || null;
+    return usable.length === 1 ? usable[0] : null;
+}
+
+function checkClaims(claims, { nonce }) {
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = config.clockToleranceSeconds;
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    if (claims.iss !== config.issuer) return 'Token issuer is not trusted';
+    if (!audiences.includes(config.audience)) return 'Token was issued for another application';
+    if (audiences.length > 1 && claims.azp !== config.audience) return 'Token was issued for another application';
+    if (typeof claims.exp !== 'number' || claims.exp + tolerance < now) return 'Token has expired';
+    if (typeof claims.iat === 'number' && claims.iat - tolerance > now) return 'Token was issued in the future';
+    if (typeof claims.nbf === 'number' && claims.nbf - tolerance > now) return 'Token is not valid yet';
+    if (nonce !== undefined && claims.nonce !== nonce) return 'Token nonce does not match';
+    return null;
+}
+
+const oidc = {
+    config,
+
+    // Returns { ok: true, claims } or { ok: false, status, message }
+    verifyIdToken: async (token, { nonce } = {}) => {
+        if (!config.issuer || !config.audience) {
+            return fail('Sign-in with an identity provider is not configured', 503);
+        }
+
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) return fail('Malformed ID token');
+
+        let header;
+        let claims;
+        try {
+            header = decodePart(parts[0]);
+            claims = decodePart(parts[1]);
+        } catch (error) {
+            return fail('Malformed ID token');
+        }
+
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) return fail(`Unsupported token algorithm "${header.alg}"`);
+
+        let key;
+        try {
+            key = pickKey(await loadKeys(), header) || pickKey(await loadKeys({ refresh: true }), header);
+        } catch (error) {
+            console.error('Error loading OIDC signing keys:', error);
+            return fail('Could not load signing keys', 503);
+        }
+        if (!key) return fail('Token was signed with an unknown key');
+
+        let valid = false;
+        try {
+            valid = crypto.verify(
+                algorithm.hash,
+                Buffer.from(`${parts[0]}.${parts[1]}`),
+                { key: crypto.createPublicKey({ key, format: 'jwk' }), dsaEncoding: algorithm.dsaEncoding },
+                Buffer.from(parts[2], 'base64url')
+            );
+        } catch (error) {
+            valid = false;
+        }
+        if (!valid) return fail('Token signature is invalid');
+
+        const problem = checkClaims(claims, { nonce });
+        if (problem) return fail(problem);
+
+        return { ok: true, claims };
+    },
+
+    isAllowedEmail: (email) => config.allowedEmails.includes(String(email || '').toLowerCase()),
+
+    // Verifies the token and finds (or, for allowlisted emails, creates) the admin it belongs to.
+    // Returns { ok: true, admin, created } or { ok: false, status, message }
+    login: async (token, options = {}) => {
+        const result = await oidc.verifyIdToken(token, options);
+        if (!result.ok) return result;
+
+        const { claims } = result;
+        const email = String(claims.email || '').toLowerCase();
+        if (!email) return fail('Token has no email address');
+        if (claims.email_verified === false) return fail('Email address is not verified', 403);
+
+        const admins = db.read('admins');
+        const existing = admins.find(admin => String(admin.email || '').toLowerCase() === email);
+        if (!existing && !oidc.isAllowedEmail(email)) {
+            return fail('This account is not allowed to access the admin panel', 403);
+        }
+
+        const profile = {
+            oidc_subject: claims.sub,
+            last_login_at: new Date().toISOString()
+        };
+
+        if (existing) {
+            return { ok: true, admin: db.update('admins', existing.id, profile), created: false };
+        }
+
+        const admin = db.insert('admins', {
+            email,
+            full_name: claims.name || claims.nickname || email,
+            // The first admin runs the salon; later sign-ups get the default role
+            role: admins.length === 0 ? 'owner' : (roles.isValidRole(config.defaultRole) ? config.defaultRole : 'stylist'),
+            provider: 'oidc',
+            ...profile
+        });
+        return { ok: true, admin, created: true };
+    }
+};
+
+module.exports = oidc;
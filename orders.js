@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const db = require('./database');
+const inventory = require('./inventory');
+const bookingLifecycle = require('./booking-lifecycle');
+const { decodeHtml } = require('./csv');
+
+// Product orders: checkout prices a cart against the products table, takes the stock out
+// (logged as a sale in stock_movements) and stores the order with its line items.
+// Cancelling or refunding puts the stock back.
+const config = {
+    currency: process.env.ORDER_CURRENCY || 'NGN',
+    whatsappNumber: process.env.ORDER_WHATSAPP_NUMBER || '2348167559196',
+    maxLines: 50,
+    maxQuantity: parseInt(process.env.ORDER_MAX_QUANTITY) || 20
+};
+
+const STATUSES = ['pending', 'confirmed', 'paid', 'ready', 'completed', 'cancelled', 'refunded'];
+
+// Legal next states; completed, cancelled and refunded are final
+const TRANSITIONS = {
+    'pending': ['confirmed', 'paid', 'cancelled'],
+    'confirmed': ['paid', 'cancelled'],
+    'paid': ['ready', 'completed', 'refunded'],
+    'ready': ['completed', 'refunded'],
+    'completed': [],
+    'cancelled': [],
+    'refunded': []
+};
+
+// Leaving the order through these states returns its items to stock
+const RESTOCK_STATUSES = ['cancelled', 'refunded'];
+
+// Orders in these states have been paid for
+const PAID_STATUSES = ['paid', 'ready', 'completed'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function orderNumber() {
+    const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+    return `DBW-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+function variantLabel(variant) {
+    return inventory.VARIANT_FIELDS.map(field => variant[field]).filter(Boolean).join(' / ');
+}
+
+function formatMoney(amount) {
+    return `${config.currency === 'NGN' ? '₦' : config.currency + ' '}${Number(amount).toLocaleString('en-NG')}`;
+}
+
+function returnStock(order, admin, reason) {
+    order.items.forEach(item => {
+        const result = inventory.adjust(item.product_id, item.sku, item.quantity, {
+            reason: 'return',
+            note: `Order ${order.order_number} ${reason}`,
+            orderId: order.id,
+            admin
+        });
+        if (!result.ok) {
+            console.error(`Could not return ${item.sku} x${item.quantity} from order ${order.order_number}: ${result.message}`);
+        }
+    });
+}
+
+const orders = {
+    config,
+    STATUSES,
+    TRANSITIONS,
+    PAID_STATUSES,
+
+    isValidStatus: (status) => STATUSES.includes(status),
+
+    allowedTransitions: (status) => TRANSITIONS[status] || [],
+
+    // Checks a cart ([{ product_id, sku, quantity, unit_price? }]) against current products.
+    // unit_price is what the customer saw; a different current price is reported, not charged.
+    // Returns { ok: true, items, subtotal } or { ok: false, status, message, problems }
+    priceCart: (cart) => {
+        const lines = new Map();
+        cart.forEach(entry => {
+            const sku = inventory.normalizeSku(entry.sku);
+            const key = `${entry.product_id}:${sku}`;
+            const line = lines.get(key) || { product_id: parseInt(entry.product_id), sku, quantity: 0, seen_price: entry.unit_price };
+            line.quantity += parseInt(entry.quantity);
+            lines.set(key, line);
+        });
+
+        const problems = [];
+        const items = [];
+        lines.forEach(line => {
+            // Drafts can't be bought; to the customer they don't exist
+            const product = db.findById('products', line.product_id);
+            const listed = product && product.published !== false;
+            const variant = listed && (product.variants || []).find(candidate => candidate.sku === line.sku);
+            if (!variant) {
+                problems.push({ product_id: line.product_id, sku: line.sku, problem: 'not_found' });
+                return;
+            }
+            if (line.quantity > config.maxQuantity) {
+                problems.push({ product_id: line.product_id, sku: line.sku, problem: 'quantity_limit', max: config.maxQuantity });
+                return;
+            }
+            if (variant.stock < line.quantity) {
+                problems.push({ product_id: line.product_id, sku: line.sku, problem: 'out_of_stock', available: variant.stock });
+                return;
+            }
+            if (line.seen_price !== undefined && line.seen_price !== null && parseFloat(line.seen_price) !== variant.price) {
+                problems.push({ product_id: line.product_id, sku: line.sku, problem: 'price_changed', unit_price: variant.price });
+                return;
+            }
+            items.push({
+                product_id: product.id,
+                sku: variant.sku,
+                name: product.name,
+                variant: variantLabel(variant),
+                unit_price: variant.price,
+                quantity: line.quantity,
+                line_total: variant.price * line.quantity
+            });
+        });
+
+        if (problems.length) {
+            return { ok: false, status: 409, message: 'Some items in your cart are no longer available as shown', problems };
+        }
+        return { ok: true, items, subtotal: items.reduce((total, item) => total + item.line_total, 0) };
+    },
+
+    // Prices the cart, takes the items out of stock and stores the order.
+    // Returns { ok: true, order, token } or { ok: false, status, message, problems }
+    create: (cart, customer) => {
+        const priced = orders.priceCart(cart);
+        if (!priced.ok) return priced;
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const order = db.insert('orders', {
+            order_number: orderNumber(),
+            customer_name: customer.customer_name,
+            customer_phone: customer.customer_phone,
+            customer_email: customer.customer_email || '',
+            customer_id: customer.customer_id || null,
+            delivery_method: customer.delivery_method || 'pickup',
+            delivery_address: customer.delivery_address || '',
+            notes: customer.notes || '',
+            items: priced.items,
+            subtotal: priced.subtotal,
+            total: priced.subtotal,
+            currency: config.currency,
+            status: 'pending',
+            status_history: bookingLifecycle.initialHistory({ actor: 'customer' }),
+            access_token_hash: hashToken(token)
+        });
+
+        // Stock was checked above; if another checkout took it in between, undo this one
+        const taken = [];
+        for (const item of priced.items) {
+            const result = inventory.adjust(item.product_id, item.sku, -item.quantity, {
+                reason: 'sale',
+                note: `Order ${order.order_number}`,
+                orderId: order.id
+            });
+            if (!result.ok) {
+                returnStock({ ...order, items: taken }, null, 'checkout failed');
+                db.delete('orders', order.id);
+                return {
+                    ok: false,
+                    status: 409,
+                    message: 'Some items in your cart are no longer available as shown',
+                    problems: [{ product_id: item.product_id, sku: item.sku, problem: 'out_of_stock' }]
+                };
+            }
+            taken.push(item);
+        }
+
+        return { ok: true, order, token };
+    },
+
+    findByToken: (token) => {
+        if (!token || typeof token !== 'string' || token.length < 20) return null;
+        const hash = hashToken(token);
+        return db.read('orders').find(order => order.access_token_hash === hash) || null;
+    },
+
+    // What the customer may see about their own order
+    publicView: (order) => ({
+        id: order.id,
+        order_number: order.order_number,
+        customer_name: order.customer_name,
+        delivery_method: order.delivery_method,
+        items: order.items,
+        subtotal: order.subtotal,
+        total: order.total,
+        currency: order.currency,
+        status: order.status,
+        payment_status: order.payment_status || 'unpaid',
+        amount_paid: order.amount_paid || 0,
+        created_at: order.created_at
+    }),
+
+    // Order summary to prefill a WhatsApp chat with the shop. The order's text is stored
+    // HTML-escaped for the admin UI, so the message is decoded to read as typed.
+    whatsappText: (order) => {
+        const lines = order.items.map(item =>
+            `- ${item.name}${item.variant ? ` (${item.variant})` : ''} x${item.quantity}: ${formatMoney(item.line_total)}`
+        );
+        return [
+            `Hello! I just placed order ${order.order_number} at Deny's Beauty World:`,
+            '',
+            ...lines,
+            '',
+            `Total: ${formatMoney(order.total)}`,
+            `Name: ${order.customer_name}`,
+            `Phone: ${order.customer_phone}`,
+            `Delivery: ${order.delivery_method === 'delivery' ? order.delivery_address : 'Pickup at the salon'}`,
+            ...(order.notes ? [`Notes: ${order.notes}`] : [])
+        ].map(decodeHtml).join('\n');
+    },
+
+    whatsappUrl: (order) => `https://wa.me/${config.whatsappNumber}?text=${encodeURIComponent(orders.whatsappText(order))}`,
+
+    itemsText: (order) => order.items
+        .map(item => `${item.quantity} x ${item.name}${item.variant ? ` (${item.variant})` : ''}`)
+        .join(', '),
+
+    formatMoney,
+
+    // Moves an order to a new status; cancelling or refunding returns the stock.
+    // Returns { ok: true, order } or { ok: false, status, message, allowed }
+    transition: (id, to, options = {}) => {
+        const order = db.findById('orders', id);
+        if (!order) {
+            return { ok: false, status: 404, message: 'Order not found' };
+        }
+
+        if (!STATUSES.includes(to)) {
+            return { ok: false, status: 400, message: `Unknown status "${to}"`, allowed: STATUSES };
+        }
+
+        const allowed = TRANSITIONS[order.status] || [];
+        if (!allowed.includes(to)) {
+            return { ok: false, status: 409, message: `Cannot change order from ${order.status} to ${to}`, allowed };
+        }
+
+        const expectedVersion = options.expectedVersion !== undefined ? options.expectedVersion : (order.version || 0);
+        const status_history = [...(order.status_history || []), bookingLifecycle.historyEntry(order.status, to, options)];
+        let updated;
+        try {
+            updated = db.update('orders', order.id, { status: to, status_history }, { expectedVersion });
+        } catch (error) {
+            if (error.code !== 'STALE_WRITE') throw error;
+            return { ok: false, status: 409, message: 'This order was changed by someone else, please reload and try again' };
+        }
+
+        if (RESTOCK_STATUSES.includes(to)) {
+            returnStock(updated, options.admin || null, to);
+        }
+        return { ok: true, order: updated };
+    }
+};
+
+module.exports = orders;
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const db = require('./database');
+const notifications = require('./notifications');
+const { hashPassword } = require('./passwords');
+
+const config = {
+    ttlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    // Reset emails per admin per hour, on top of the per-IP rate limit on the route
+    maxPerHour: parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR) || 3
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function findAdminByEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    return db.read('admins').find(admin => String(admin.email || '').toLowerCase() === normalized) || null;
+}
+
+// Marks every unused token of an admin as used, so only the newest link works
+function retireTokens(adminId, now) {
+    db.read('password_resets')
+        .filter(reset => reset.admin_id == adminId && !reset.used_at)
+        .forEach(reset => db.update('password_resets', reset.id, { used_at: now }));
+}
+
+const passwordReset = {
+    config,
+
+    resetUrl: (token) => `/admin/reset.html?token=${encodeURIComponent(token)}`,
+
+    // Emails a one-time reset link if the address belongs to a password admin.
+    // Always resolves the same way so callers can't tell whether the email exists.
+    request: async (email, { ip } = {}) => {
+        const admin = findAdminByEmail(email);
+        if (!admin || !admin.password) return;
+
+        const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        const recent = db.read('password_resets')
+            .filter(reset => reset.admin_id == admin.id && reset.created_at >= hourAgo);
+        if (recent.length >= config.maxPerHour) return;
+
+        const now = new Date().toISOString();
+        retireTokens(admin.id, now);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        db.insert('password_resets', {
+            admin_id: admin.id,
+            token_hash: hashToken(token),
+            expires_at: new Date(Date.now() + config.ttlMinutes * 60 * 1000).toISOString(),
+            used_at: null,
+            requested_ip: ip || ''
+        });
+
+        await notifications.notify('admin.password_reset', {
+            admin_email: admin.email,
+            full_name: admin.full_name || 'there',
+            reset_link: `${notifications.config.siteUrl}${passwordReset.resetUrl(token)}`,
+            expires_minutes: config.ttlMinutes
+        }, { relatedTable: 'admins', relatedId: admin.id, secretFields: ['reset_link'] });
+    },
+
+    // Returns { ok: true, admin } or { ok: false, status, message }
+    confirm: (token, newPassword) => {
+        const hash = hashToken(token);
+        const reset = db.read('password_resets').find(item => item.token_hash === hash);
+        const now = new Date().toISOString();
+
+        if (!reset || reset.used_at || reset.expires_at <= now) {
+            return { ok: false, status: 400, message: 'This reset link is invalid or has expired' };
+        }
+
+        const admin = db.findById('admins', reset.admin_id);
+        if (!admin) {
+            return { ok: false, status: 400, message: 'This reset link is invalid or has expired' };
+        }
+
+        // Use the token first so a second request with it can't also succeed
+        try {
+            db.update('password_resets', reset.id, { used_at: now }, { expectedVersion: reset.version || 0 });
+        } catch (error) {
+            if (error.code !== 'STALE_WRITE') throw error;
+            return { ok: false, status: 400, message: 'This reset link is invalid or has expired' };
+        }
+        retireTokens(admin.id, now);
+
+        // Bumping session_version signs the admin out everywhere (checked in requireAuth)
+        const updated = db.update('admins', admin.id, {
+            password: hashPassword(newPassword),
+            password_changed_at: now,
+            session_version: (admin.session_version || 0) + 1
+        });
+
+        notifications.notify('admin.password_changed', {
+            admin_email: updated.email,
+            full_name: updated.full_name || 'there'
+        }, { relatedTable: 'admins', relatedId: updated.id });
+
+        return { ok: true, admin: updated };
+    }
+};
+
+module.exports = passwordReset;
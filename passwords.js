@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Stored as scrypt$<salt>$<hash> (hex)
+const KEY_LENGTH = 64;
+
+const passwords = {
+    hashPassword: (password) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    },
+
+    verifyPassword: (password, stored) => {
+        if (typeof password !== 'string' || typeof stored !== 'string') return false;
+        const [scheme, salt, hash] = stored.split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+};
+
+module.exports = passwords;
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const db = require('./database');
+const orders = require('./orders');
+
+// Payments for bookings (a deposit) and orders (the total), through one provider adapter:
+// paystack, flutterwave or mock. The provider's hosted checkout takes the money and tells
+// us the outcome through a signed webhook; each payment record remembers the webhook events
+// it has applied, so a redelivered event changes nothing. The mock provider lets anyone mark
+// a payment as paid, so it is only used when PAYMENT_PROVIDER=mock is set, and never in
+// production; with no provider configured, online payments are off.
+const config = {
+    provider: process.env.PAYMENT_PROVIDER
+        || (process.env.PAYSTACK_SECRET_KEY ? 'paystack' : process.env.FLW_SECRET_KEY ? 'flutterwave' : null),
+    currency: process.env.PAYMENT_CURRENCY || 'NGN',
+    bookingDeposit: parseFloat(process.env.BOOKING_DEPOSIT_AMOUNT) || 5000,
+    // Paystack and Flutterwave need an email; customers who gave none get <phone>@this domain
+    fallbackEmailDomain: process.env.PAYMENT_FALLBACK_EMAIL_DOMAIN || 'customers.denysbeautyworld.com',
+    // An unpaid intent for the same record and amount is reused for this long
+    reuseMinutes: 30,
+    // The mock checkout page signs its webhooks in-process, so a per-run secret is enough
+    mockSecret: process.env.MOCK_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex')
+};
+
+if (config.provider === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_PROVIDER=mock cannot be used when NODE_ENV=production');
+}
+
+const STATUSES = ['pending', 'succeeded', 'failed'];
+
+function hmac(algorithm, secret, body) {
+    return crypto.createHmac(algorithm, secret).update(body).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a || ''));
+    const right = Buffer.from(String(b || ''));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+async function postJson(url, secretKey, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secretKey}` },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.message || `Payment provider responded with ${response.status}`);
+    }
+    return data;
+}
+
+// Each adapter: initialize(payment, { email, phone, name, callbackUrl }) -> { checkout_url, provider_reference },
+// verifySignature(rawBody, headers) -> boolean, parseEvent(body) -> { event_id, reference, status, amount, currency } | null
+const providers = {
+    paystack: {
+        initialize: async (payment, customer) => {
+            const data = await postJson('https://api.paystack.co/transaction/initialize', process.env.PAYSTACK_SECRET_KEY, {
+                reference: payment.reference,
+                amount: Math.round(payment.amount * 100),
+                currency: payment.currency,
+                email: customer.email,
+                callback_url: customer.callbackUrl,
+                metadata: { related_table: payment.related_table, related_id: payment.related_id, phone: customer.phone }
+            });
+            return { checkout_url: data.data.authorization_url, provider_reference: data.data.access_code };
+        },
+
+        // x-paystack-signature is the HMAC-SHA512 of the raw body with the secret key
+        verifySignature: (rawBody, headers) => Boolean(process.env.PAYSTACK_SECRET_KEY) &&
+            safeEqual(headers['x-paystack-signature'], hmac('sha512', process.env.PAYSTACK_SECRET_KEY, rawBody)),
+
+        parseEvent: (body) => {
+            if (!body || !body.data || !['charge.success', 'charge.failed'].includes(body.event)) return null;
+            return {
+                event_id: `${body.event}:${body.data.id}`,
+                reference: body.data.reference,
+                status: body.event === 'charge.success' && body.data.status === 'success' ? 'succeeded' : 'failed',
+                amount: body.data.amount / 100,
+                currency: body.data.currency
+            };
+        }
+    },
+
+    flutterwave: {
+        initialize: async (payment, customer) => {
+            const data = await postJson('https://api.flutterwave.com/v3/payments', process.env.FLW_SECRET_KEY, {
+                tx_ref: payment.reference,
+                amount: payment.amount,
+                currency: payment.currency,
+                redirect_url: customer.callbackUrl,
+                customer: { email: customer.email, phonenumber: customer.phone, name: customer.name },
+                meta: { related_table: payment.related_table, related_id: payment.related_id }
+            });
+            return { checkout_url: data.data.link, provider_reference: '' };
+        },
+
+        // verif-hash carries the secret hash configured on the Flutterwave dashboard
+        verifySignature: (rawBody, headers) => Boolean(process.env.FLW_SECRET_HASH) &&
+            safeEqual(headers['verif-hash'], process.env.FLW_SECRET_HASH),
+
+        parseEvent: (body) => {
+            if (!body || !body.data || body.event !== 'charge.completed') return null;
+            return {
+                event_id: `${body.event}:${body.data.id}`,
+                reference: body.data.tx_ref,
+                status: body.data.status === 'successful' ? 'succeeded' : 'failed',
+                amount: body.data.amount,
+                currency: body.data.currency
+            };
+        }
+    },
+
+    // Offline stand-in: the checkout URL is a local page whose buttons send a signed webhook
+    mock: {
+        initialize: async (payment) => ({
+            checkout_url: `/api/payments/mock/${encodeURIComponent(payment.reference)}`,
+            provider_reference: `mock_${payment.reference}`
+        }),
+
+        verifySignature: (rawBody, headers) =>
+            safeEqual(headers['x-mock-signature'], hmac('sha256', config.mockSecret, rawBody)),
+
+        parseEvent: (body) => {
+            if (!body || !body.data || body.event !== 'payment.completed') return null;
+            return {
+                event_id: body.id,
+                reference: body.data.reference,
+                status: body.data.status === 'success' ? 'succeeded' : 'failed',
+                amount: body.data.amount,
+                currency: body.data.currency
+            };
+        },
+
+        // Builds the webhook the mock provider would deliver, signed like a real one
+        event: (payment, outcome) => {
+            const body = JSON.stringify({
+                id: `mock_evt_${crypto.randomBytes(6).toString('hex')}`,
+                event: 'payment.completed',
+                data: { reference: payment.reference, status: outcome, amount: payment.amount, currency: payment.currency }
+            });
+            return { body, headers: { 'x-mock-signature': hmac('sha256', config.mockSecret, body) } };
+        }
+    }
+};
+
+function customerEmail(record) {
+    if (record.customer_email) return record.customer_email;
+    const digits = String(record.customer_phone || '').replace(/\D/g, '') || 'customer';
+    return `${digits}@${config.fallbackEmailDomain}`;
+}
+
+// Payment fields stored on the booking or order, recomputed from its payments
+function paymentSummary(table, record) {
+    const paid = db.read('payments')
+        .filter(payment => payment.related_table === table && payment.related_id === record.id && payment.status === 'succeeded')
+        .reduce((total, payment) => total + payment.amount, 0);
+
+    let payment_status = 'unpaid';
+    if (table === 'orders') {
+        if (paid >= record.total) payment_status = 'paid';
+        else if (paid > 0) payment_status = 'partially_paid';
+    } else if (paid > 0) {
+        payment_status = paid >= config.bookingDeposit ? 'deposit_paid' : 'partially_paid';
+    }
+    return { payment_status, amount_paid: paid };
+}
+
+function applyToRelated(payment) {
+    const record = db.findById(payment.related_table, payment.related_id);
+    if (!record) return;
+
+    const summary = paymentSummary(payment.related_table, record);
+    db.update(payment.related_table, record.id, { ...summary, payment_reference: payment.reference });
+
+    if (payment.related_table === 'orders' && summary.payment_status === 'paid' && orders.allowedTransitions(record.status).includes('paid')) {
+        const result = orders.transition(record.id, 'paid', { actor: 'system', reason: `Payment ${payment.reference}` });
+        if (!result.ok) console.error(`Could not mark order ${record.id} paid: ${result.message}`);
+    }
+}
+
+const payments = {
+    config,
+    STATUSES,
+    providers,
+
+    provider: () => providers[config.provider],
+
+    // Amount due now: the booking deposit, or what is left to pay on an order
+    amountDue: (table, record) => {
+        if (table === 'bookings') {
+            return paymentSummary(table, record).amount_paid > 0 ? 0 : config.bookingDeposit;
+        }
+        return Math.max(record.total - paymentSummary(table, record).amount_paid, 0);
+    },
+
+    // Starts a payment for a booking or order at the provider's hosted checkout.
+    // Returns { ok: true, payment } or { ok: false, status, message }
+    createIntent: async (table, record, { callbackUrl } = {}) => {
+        const provider = payments.provider();
+        if (!config.provider) {
+            return { ok: false, status: 503, message: 'Online payments are not available' };
+        }
+        if (!provider) {
+            return { ok: false, status: 500, message: `Unknown payment provider "${config.provider}"` };
+        }
+        if (['cancelled', 'refunded', 'no-show'].includes(record.status)) {
+            return { ok: false, status: 409, message: `A ${record.status} ${table === 'orders' ? 'order' : 'booking'} cannot be paid` };
+        }
+
+        const amount = payments.amountDue(table, record);
+        if (amount <= 0) {
+            return { ok: false, status: 409, message: 'Nothing left to pay' };
+        }
+
+        const reuseAfter = Date.now() - config.reuseMinutes * 60 * 1000;
+        const existing = db.read('payments').find(payment =>
+            payment.related_table === table && payment.related_id === record.id &&
+            payment.status === 'pending' && payment.amount === amount &&
+            payment.provider === config.provider && new Date(payment.created_at).getTime() > reuseAfter
+        );
+        if (existing) return { ok: true, payment: existing };
+
+        const payment = db.insert('payments', {
+            reference: `DBW-${table === 'orders' ? 'ORD' : 'BKG'}-${record.id}-${crypto.randomBytes(4).toString('hex')}`,
+            provider: config.provider,
+            related_table: table,
+            related_id: record.id,
+            purpose: table === 'orders' ? 'order' : 'deposit',
+            amount,
+            currency: config.currency,
+            status: 'pending',
+            checkout_url: '',
+            provider_reference: '',
+            processed_events: []
+        });
+
+        try {
+            const started = await provider.initialize(payment, {
+                email: customerEmail(record),
+                phone: record.customer_phone,
+                name: record.customer_name,
+                callbackUrl
+            });
+            return { ok: true, payment: db.update('payments', payment.id, started) };
+        } catch (error) {
+            console.error(`Payment ${payment.reference} could not be started:`, error.message);
+            db.update('payments', payment.id, { status: 'failed', error: error.message });
+            return { ok: false, status: 502, message: 'The payment provider is unavailable, please try again later' };
+        }
+    },
+
+    // Verifies and applies a webhook. Returns { ok, status, message, payment?, duplicate? };
+    // anything well-signed that we can't use is acknowledged so the provider stops retrying
+    handleWebhook: (providerName, rawBody, headers) => {
+        // Mock webhooks are signed by this server, so they only count while mock is in use
+        const provider = providerName !== 'mock' || config.provider === 'mock' ? providers[providerName] : null;
+        if (!provider) {
+            return { ok: false, status: 404, message: 'Unknown payment provider' };
+        }
+        if (!rawBody || !provider.verifySignature(rawBody, headers)) {
+            return { ok: false, status: 401, message: 'Invalid webhook signature' };
+        }
+
+        let event;
+        try {
+            event = provider.parseEvent(JSON.parse(rawBody.toString('utf8')));
+        } catch (error) {
+            return { ok: false, status: 400, message: 'Webhook body is not valid JSON' };
+        }
+        if (!event) {
+            return { ok: true, status: 200, message: 'Event ignored' };
+        }
+
+        const payment = db.read('payments').find(item => item.reference === event.reference && item.provider === providerName);
+        if (!payment) {
+            console.error(`Webhook for unknown payment reference ${event.reference}`);
+            return { ok: true, status: 200, message: 'Unknown payment reference' };
+        }
+
+        if ((payment.processed_events || []).includes(event.event_id)) {
+            return { ok: true, status: 200, message: 'Event already processed', payment, duplicate: true };
+        }
+
+        const processed_events = [...(payment.processed_events || []), event.event_id];
+        // A success is final; later failures (e.g. a retried card) don't undo it
+        if (payment.status === 'succeeded') {
+            return { ok: true, status: 200, message: 'Payment already succeeded', payment: db.update('payments', payment.id, { processed_events }) };
+        }
+
+        let status = event.status;
+        let error = '';
+        if (status === 'succeeded' && (event.amount < payment.amount || event.currency !== payment.currency)) {
+            status = 'failed';
+            error = `Paid ${event.amount} ${event.currency}, expected ${payment.amount} ${payment.currency}`;
+            console.error(`Payment ${payment.reference}: ${error}`);
+        }
+
+        const updated = db.update('payments', payment.id, {
+            status,
+            error,
+            processed_events,
+            paid_at: status === 'succeeded' ? new Date().toISOString() : null
+        });
+        if (status === 'succeeded') applyToRelated(updated);
+
+        return { ok: true, status: 200, message: `Payment ${status}`, payment: updated };
+    },
+
+    // What the customer may see about a payment
+    publicView: (payment) => ({
+        reference: payment.reference,
+        provider: payment.provider,
+        purpose: payment.purpose,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        checkout_url: payment.checkout_url
+    })
+};
+
+module.exports = payments;
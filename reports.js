@@ -0,0 +1,273 @@
+const db = require('./database');
+const orders = require('./orders');
+const customers = require('./customers');
+const availability = require('./availability');
+
+// Business reports over a date range. Bookings count on their booking_date and orders on the
+// salon-local day they were placed. Service revenue is what completed bookings were worth (see
+// customers.bookingSpend); product revenue is the total of paid orders.
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function percent(count, total) {
+    return total ? Math.round(count / total * 1000) / 10 : 0;
+}
+
+function inRange(date, { from, to }) {
+    return (!from || date >= from) && (!to || date <= to);
+}
+
+function bookingsIn(range) {
+    return db.read('bookings').filter(booking => booking.booking_date && inRange(booking.booking_date, range));
+}
+
+// created_at is UTC; an order placed just after midnight in the salon belongs to that day
+function orderDate(order) {
+    const placed = new Date(order.created_at);
+    if (isNaN(placed.getTime())) return String(order.created_at).slice(0, 10);
+    return new Date(placed.getTime() + availability.offsetMinutes() * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function paidOrdersIn(range) {
+    return db.read('orders').filter(order =>
+        orders.PAID_STATUSES.includes(order.status) && inRange(orderDate(order), range)
+    );
+}
+
+// Groups records by key; rows keep the order keys were first seen in
+function tally(records, keyOf, start, add) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = keyOf(record);
+        if (!groups.has(key)) groups.set(key, start(record, key));
+        add(groups.get(key), record);
+    });
+    return [...groups.values()];
+}
+
+// Who served a booking: the admin who completed it, or else who started it
+function stylistOf(booking) {
+    const history = booking.status_history || [];
+    const entry = history.find(item => item.to === 'completed' && item.admin_id) ||
+        history.find(item => item.to === 'in-progress' && item.admin_id);
+    return entry ? entry.admin_id : null;
+}
+
+const REPORTS = {
+    'revenue-by-service': {
+        title: 'Revenue by service',
+        columns: [
+            { key: 'service_name', label: 'Service' },
+            { key: 'completed_bookings', label: 'Completed bookings' },
+            { key: 'revenue', label: 'Revenue' },
+            { key: 'average', label: 'Average per booking' }
+        ],
+        build: (range) => {
+            const rows = tally(
+                bookingsIn(range).filter(booking => booking.status === 'completed'),
+                booking => booking.service_id || booking.service_name,
+                booking => ({ service_id: booking.service_id || null, service_name: booking.service_name, completed_bookings: 0, revenue: 0 }),
+                (row, booking) => {
+                    row.completed_bookings++;
+                    row.revenue += customers.bookingSpend(booking);
+                }
+            ).map(row => ({ ...row, average: Math.round(row.revenue / row.completed_bookings) }));
+            rows.sort((a, b) => b.revenue - a.revenue);
+            return { rows, summary: { revenue: rows.reduce((total, row) => total + row.revenue, 0) } };
+        }
+    },
+
+    'revenue-by-month': {
+        title: 'Revenue by month',
+        columns: [
+            { key: 'month', label: 'Month' },
+            { key: 'service_revenue', label: 'Service revenue' },
+            { key: 'product_revenue', label: 'Product revenue' },
+            { key: 'total', label: 'Total' }
+        ],
+        build: (range) => {
+            const months = {};
+            const month = (key) => months[key] || (months[key] = { month: key, service_revenue: 0, product_revenue: 0, total: 0 });
+            bookingsIn(range).filter(booking => booking.status === 'completed').forEach(booking => {
+                month(booking.booking_date.slice(0, 7)).service_revenue += customers.bookingSpend(booking);
+            });
+            paidOrdersIn(range).forEach(order => {
+                month(orderDate(order).slice(0, 7)).product_revenue += order.total;
+            });
+            const rows = Object.values(months)
+                .map(row => ({ ...row, total: row.service_revenue + row.product_revenue }))
+                .sort((a, b) => a.month.localeCompare(b.month));
+            return { rows, summary: { revenue: rows.reduce((total, row) => total + row.total, 0) } };
+        }
+    },
+
+    'bookings-by-weekday': {
+        title: 'Bookings by weekday',
+        columns: [
+            { key: 'weekday', label: 'Weekday' },
+            { key: 'bookings', label: 'Bookings' },
+            { key: 'completed', label: 'Completed' }
+        ],
+        build: (range) => {
+            const rows = WEEKDAYS.map(weekday => ({ weekday, bookings: 0, completed: 0 }));
+            bookingsIn(range).filter(booking => booking.status !== 'cancelled').forEach(booking => {
+                const row = rows[new Date(`${booking.booking_date}T00:00:00Z`).getUTCDay()];
+                row.bookings++;
+                if (booking.status === 'completed') row.completed++;
+            });
+            // Monday first, as the salon's week runs
+            return { rows: [...rows.slice(1), rows[0]] };
+        }
+    },
+
+    'bookings-by-hour': {
+        title: 'Bookings by hour',
+        columns: [
+            { key: 'hour', label: 'Hour' },
+            { key: 'bookings', label: 'Bookings' },
+            { key: 'completed', label: 'Completed' }
+        ],
+        build: (range) => {
+            const rows = tally(
+                bookingsIn(range).filter(booking => booking.status !== 'cancelled' && booking.booking_time),
+                booking => booking.booking_time.slice(0, 2),
+                (booking, hour) => ({ hour: `${hour}:00`, bookings: 0, completed: 0 }),
+                (row, booking) => {
+                    row.bookings++;
+                    if (booking.status === 'completed') row.completed++;
+                }
+            );
+            return { rows: rows.sort((a, b) => a.hour.localeCompare(b.hour)) };
+        }
+    },
+
+    'conversion': {
+        title: 'Booking conversion',
+        columns: [
+            { key: 'status', label: 'Status' },
+            { key: 'bookings', label: 'Bookings' },
+            { key: 'percent', label: 'Percent' }
+        ],
+        build: (range) => {
+            const bookings = bookingsIn(range);
+            const count = (status) => bookings.filter(booking => booking.status === status).length;
+            const rows = ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show']
+                .map(status => ({ status, bookings: count(status), percent: percent(count(status), bookings.length) }));
+            return {
+                rows,
+                summary: {
+                    bookings: bookings.length,
+                    conversion_rate: percent(count('completed'), bookings.length),
+                    cancellation_rate: percent(count('cancelled'), bookings.length),
+                    no_show_rate: percent(count('no-show'), bookings.length)
+                }
+            };
+        }
+    },
+
+    'cancellations': {
+        title: 'Cancellations and no-shows by month',
+        columns: [
+            { key: 'month', label: 'Month' },
+            { key: 'bookings', label: 'Bookings' },
+            { key: 'cancelled', label: 'Cancelled' },
+            { key: 'no_shows', label: 'No-shows' },
+            { key: 'cancellation_rate', label: 'Cancellation rate (%)' },
+            { key: 'no_show_rate', label: 'No-show rate (%)' }
+        ],
+        build: (range) => {
+            const rows = tally(
+                bookingsIn(range),
+                booking => booking.booking_date.slice(0, 7),
+                (booking, month) => ({ month, bookings: 0, cancelled: 0, no_shows: 0 }),
+                (row, booking) => {
+                    row.bookings++;
+                    if (booking.status === 'cancelled') row.cancelled++;
+                    if (booking.status === 'no-show') row.no_shows++;
+                }
+            ).map(row => ({
+                ...row,
+                cancellation_rate: percent(row.cancelled, row.bookings),
+                no_show_rate: percent(row.no_shows, row.bookings)
+            }));
+            return { rows: rows.sort((a, b) => a.month.localeCompare(b.month)) };
+        }
+    },
+
+    'top-products': {
+        title: 'Top-selling products',
+        columns: [
+            { key: 'name', label: 'Product' },
+            { key: 'units', label: 'Units sold' },
+            { key: 'orders', label: 'Orders' },
+            { key: 'revenue', label: 'Revenue' }
+        ],
+        build: (range, { limit = 10 } = {}) => {
+            const rows = tally(
+                paidOrdersIn(range).flatMap(order => order.items.map(item => ({ ...item, order_id: order.id }))),
+                item => item.product_id,
+                item => ({ product_id: item.product_id, name: item.name, units: 0, orders: new Set(), revenue: 0 }),
+                (row, item) => {
+                    row.units += item.quantity;
+                    row.orders.add(item.order_id);
+                    row.revenue += item.line_total;
+                }
+            ).map(row => ({ ...row, orders: row.orders.size }));
+            rows.sort((a, b) => b.units - a.units || b.revenue - a.revenue);
+            return { rows: rows.slice(0, limit) };
+        }
+    },
+
+    'busiest-stylists': {
+        title: 'Busiest stylists',
+        columns: [
+            { key: 'name', label: 'Stylist' },
+            { key: 'completed_bookings', label: 'Completed bookings' },
+            { key: 'revenue', label: 'Revenue' }
+        ],
+        build: (range) => {
+            const rows = tally(
+                bookingsIn(range).filter(booking => booking.status === 'completed'),
+                stylistOf,
+                (booking, adminId) => {
+                    const admin = adminId && db.findById('admins', adminId);
+                    return {
+                        admin_id: adminId,
+                        name: admin ? (admin.full_name || admin.email) : (adminId ? `Admin #${adminId}` : 'Not recorded'),
+                        completed_bookings: 0,
+                        revenue: 0
+                    };
+                },
+                (row, booking) => {
+                    row.completed_bookings++;
+                    row.revenue += customers.bookingSpend(booking);
+                }
+            );
+            return { rows: rows.sort((a, b) => b.completed_bookings - a.completed_bookings || b.revenue - a.revenue) };
+        }
+    }
+};
+
+const reports = {
+    REPORTS,
+
+    list: () => Object.entries(REPORTS).map(([name, report]) => ({ name, title: report.title })),
+
+    // Runs a report for { from, to } (YYYY-MM-DD, both optional), or returns null for an unknown name
+    run: (name, range = {}, options = {}) => {
+        const report = Object.prototype.hasOwnProperty.call(REPORTS, name) ? REPORTS[name] : null;
+        if (!report) return null;
+        const { rows, summary } = report.build(range, options);
+        return {
+            report: name,
+            title: report.title,
+            from: range.from || null,
+            to: range.to || null,
+            currency: orders.config.currency,
+            columns: report.columns,
+            rows,
+            ...(summary ? { summary } : {})
+        };
+    }
+};
+
+module.exports = reports;
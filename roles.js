@@ -0,0 +1,66 @@
+// Staff roles and the permissions each one has. Routes declare what they need with
+// requirePermission('bookings:read') in server.js.
+const ROLES = ['owner', 'manager', 'stylist'];
+
+const ALL = ROLES;
+const MANAGERS = ['owner', 'manager'];
+const OWNER = ['owner'];
+
+// permission -> roles allowed
+const PERMISSIONS = {
+    'uploads:create': ALL,
+    'products:write': MANAGERS,
+    'services:write': MANAGERS,
+    'videos:write': MANAGERS,
+    'inventory:read': MANAGERS,
+    'inventory:adjust': MANAGERS,
+    'gallery:write': ALL,
+    'bookings:read': ALL,
+    'bookings:update': ALL,
+    'bookings:delete': OWNER,
+    'calendar:feed': ALL,
+    'orders:read': ALL,
+    'orders:update': MANAGERS,
+    'payments:read': MANAGERS,
+    'reports:read': MANAGERS,
+    'customers:read': ALL,
+    // Stylists keep private notes on their clients
+    'customers:notes': ALL,
+    'customers:merge': MANAGERS,
+    'messages:read': ALL,
+    'messages:update': ALL,
+    'messages:reply': MANAGERS,
+    'notifications:read': MANAGERS,
+    'notifications:retry': MANAGERS,
+    'profiles:read': ALL,
+    // Edit your own profile; profiles:manage edits anyone's
+    'profiles:write': ALL,
+    'profiles:manage': MANAGERS,
+    'admins:manage': OWNER,
+    'audit:read': OWNER,
+    'backups:manage': OWNER,
+    'media:read': ALL,
+    'media:manage': MANAGERS
+};
+
+const roles = {
+    ROLES,
+    PERMISSIONS,
+
+    isValidRole: (role) => ROLES.includes(role),
+
+    isPermission: (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission),
+
+    // Admins created before roles existed had full access, so they count as owners
+    roleOf: (admin) => {
+        if (!admin) return null;
+        if (admin.role === undefined) return 'owner';
+        return ROLES.includes(admin.role) ? admin.role : null;
+    },
+
+    can: (role, permission) => roles.isPermission(permission) && PERMISSIONS[permission].includes(role),
+
+    permissionsFor: (role) => Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role))
+};
+
+module.exports = roles;
@@ -0,0 +1,90 @@
+// Takes, lists, checks and restores backups of data/ and the uploads it uses (see backup.js).
+// Usage: node scripts/backup.js create|list|prune
+//        node scripts/backup.js verify <backup id or .tar.gz file>
+//        node scripts/backup.js restore <backup id or .tar.gz file> --force
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const backup = require('../backup');
+
+const [command, target] = process.argv.slice(2);
+const force = process.argv.includes('--force');
+
+function archiveFor(reference) {
+    if (!reference) return null;
+    const file = backup.find(reference);
+    if (file) return file;
+    return fs.existsSync(reference) ? path.resolve(reference) : null;
+}
+
+function describe(item) {
+    if (item.error) return `${item.id}\t${item.size} bytes\tunreadable: ${item.error}`;
+    return `${item.id}\t${item.created_at}\t${item.records} record(s), ${item.files} file(s)\t${item.size} bytes`;
+}
+
+async function main() {
+    if (command === 'create') {
+        const result = await backup.create({ kind: 'manual' });
+        console.log(`Backup written: ${describe(result.backup)}`);
+        if (result.backup.missing_files) {
+            console.log(`${result.backup.missing_files} referenced upload(s) were missing and are listed in the manifest`);
+        }
+        return;
+    }
+
+    if (command === 'list') {
+        const backups = await backup.list();
+        backups.forEach(item => console.log(describe(item)));
+        console.log(`${backups.length} backup(s) in ${backup.config.dir}`);
+        return;
+    }
+
+    if (command === 'prune') {
+        const expired = await backup.prune();
+        expired.forEach(id => console.log(`Deleted ${id}`));
+        console.log(`${expired.length} scheduled backup(s) beyond the newest ${backup.config.retention} deleted`);
+        return;
+    }
+
+    if (command === 'verify' || command === 'restore') {
+        const file = archiveFor(target);
+        if (!file) {
+            console.error(`No backup or file called "${target || ''}"`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (command === 'verify') {
+            const result = await backup.verify(file);
+            result.problems.forEach(problem => console.error(problem));
+            console.log(result.ok ? `${path.basename(file)} is complete and intact` : `${path.basename(file)} failed its checks`);
+            if (!result.ok) process.exitCode = 1;
+            return;
+        }
+
+        if (!force) {
+            console.error('Restoring replaces the current data and uploads with the backup\'s.');
+            console.error('Re-run with --force to go ahead; the current data is kept as a pre-restore backup.');
+            process.exitCode = 1;
+            return;
+        }
+        const result = await backup.restore(file);
+        if (!result.ok) {
+            console.error(result.message);
+            (result.problems || []).forEach(problem => console.error(problem));
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`Restored ${result.restored.records} record(s) in ${result.restored.tables} table(s) and ${result.restored.files} file(s) from ${result.restored.created_at}`);
+        console.log(`The data as it was before is in ${result.safety_backup.id}`);
+        return;
+    }
+
+    console.error('Usage: node scripts/backup.js create|list|prune|verify <backup>|restore <backup> --force');
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('Backup failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,32 @@
+// Lists uploaded files that no record has used for the grace period, and deletes them with --purge.
+// Usage: node scripts/media-cleanup.js [--purge] [--grace-hours 24]
+require('dotenv').config();
+const media = require('../media');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+}
+
+async function main() {
+    const purge = process.argv.includes('--purge');
+    const graceHours = parseFloat(option('grace-hours', media.config.graceHours));
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+        console.error('--grace-hours must be a number of hours');
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = await media.cleanup({ dryRun: !purge, graceHours });
+    result.orphans.forEach(item => {
+        console.log(`${item.url}\t${item.files.length} file(s)\t${item.size} bytes\tunused since ${item.unreferenced_since}`);
+    });
+
+    const summary = `${result.count} orphaned upload(s), ${result.bytes} bytes, older than ${graceHours}h`;
+    console.log(purge ? `Deleted ${summary}` : `${summary} (dry run, re-run with --purge to delete)`);
+}
+
+main().catch(error => {
+    console.error('Media cleanup failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+// One-shot import of data/*.json into the SQLite database.
+// Usage: node scripts/migrate-json-to-sqlite.js [--force]
+require('dotenv').config();
+const fs = require('fs-extra');
+const path = require('path');
+const tables = require('../storage/tables');
+const createSqliteStore = require('../storage/sqlite-store');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const sqliteFile = process.env.SQLITE_PATH || path.join(dataDir, 'beauty-world.db');
+const force = process.argv.includes('--force');
+
+function readJsonTable(table) {
+    const file = path.join(dataDir, `${table}.json`);
+    if (!fs.existsSync(file)) return [];
+    const data = fs.readJsonSync(file);
+    if (!Array.isArray(data)) {
+        throw new Error(`${file} does not contain an array`);
+    }
+    return data;
+}
+
+function migrate() {
+    const store = createSqliteStore({ file: sqliteFile, tables });
+
+    try {
+        const populated = tables.filter(table => store.read(table).length > 0);
+        if (populated.length > 0 && !force) {
+            console.error(`SQLite database already has data in: ${populated.join(', ')}`);
+            console.error('Re-run with --force to replace those tables with the JSON contents.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const importAll = store.connection.transaction(() => {
+            tables.forEach(table => {
+                const records = readJsonTable(table);
+                const missingIds = records.filter(record => record.id === undefined || record.id === null);
+                if (missingIds.length > 0) {
+                    throw new Error(`${table}.json has ${missingIds.length} record(s) without an id`);
+                }
+                store.write(table, records);
+                console.log(`${table}: imported ${records.length} record(s)`);
+            });
+        });
+        importAll();
+
+        console.log(`Migration complete: ${sqliteFile}`);
+        console.log('Set DB_BACKEND=sqlite to start using it.');
+    } finally {
+        store.close();
+    }
+}
+
+try {
+    migrate();
+} catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,63 @@
+// Signs ID tokens with a locally generated key set, for testing the OIDC login
+// without a real provider. Start the server with OIDC_JWKS_FILE=<dir>/jwks.json.
+// Usage: node scripts/oidc-dev-token.js <email> [--name "Full Name"] [--expires-in 3600] [--dir .oidc-dev]
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const oidc = require('../oidc');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index === -1 ? fallback : process.argv[index + 1];
+}
+
+const email = process.argv[2];
+const keyDir = path.resolve(option('dir', path.join(__dirname, '..', '.oidc-dev')));
+const keyFile = path.join(keyDir, 'private-key.pem');
+const jwksFile = path.join(keyDir, 'jwks.json');
+
+// Creates the key pair once and reuses it, so the server's JWKS stays valid
+function loadKey() {
+    if (fs.existsSync(keyFile)) {
+        return crypto.createPrivateKey(fs.readFileSync(keyFile));
+    }
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    fs.ensureDirSync(keyDir);
+    fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    fs.writeJsonSync(jwksFile, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] }, { spaces: 2 });
+    return privateKey;
+}
+
+function sign(claims, privateKey) {
+    const { kid } = fs.readJsonSync(jwksFile).keys[0];
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const input = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(claims)}`;
+    return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+if (!email) {
+    console.error('Usage: node scripts/oidc-dev-token.js <email> [--name "Full Name"] [--expires-in 3600] [--dir .oidc-dev]');
+    process.exit(1);
+}
+if (!oidc.config.issuer || !oidc.config.audience) {
+    console.error('Set OIDC_ISSUER and OIDC_AUDIENCE (the same values the server uses) to sign tokens.');
+    process.exit(1);
+}
+
+const now = Math.floor(Date.now() / 1000);
+const token = sign({
+    iss: oidc.config.issuer,
+    aud: oidc.config.audience,
+    sub: `dev|${crypto.createHash('sha256').update(email).digest('hex').slice(0, 16)}`,
+    email,
+    email_verified: true,
+    name: option('name', email),
+    iat: now,
+    exp: now + parseInt(option('expires-in', '3600'))
+}, loadKey());
+
+console.error(`Key set: ${jwksFile}`);
+console.log(token);
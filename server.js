@@ -8,8 +8,34 @@ const crypto = require('crypto');
 const session = require('express-session');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const { body, validationResult, escape } = require('express-validator');
+const { body, query, validationResult, escape } = require('express-validator');
 const db = require('./database');
+const availability = require('./availability');
+const bookingLifecycle = require('./booking-lifecycle');
+const bookingSelfService = require('./booking-self-service');
+const notifications = require('./notifications');
+const calendar = require('./calendar');
+const listQuery = require('./list-query');
+const roles = require('./roles');
+const oidc = require('./oidc');
+const passwordReset = require('./password-reset');
+const audit = require('./audit');
+const images = require('./images');
+const videoProcessing = require('./video-processing');
+const media = require('./media');
+const inventory = require('./inventory');
+const orders = require('./orders');
+const payments = require('./payments');
+const services = require('./services');
+const catalogue = require('./catalogue');
+const messages = require('./messages');
+const customers = require('./customers');
+const reports = require('./reports');
+const csv = require('./csv');
+const bulk = require('./bulk');
+const createImporters = require('./importers');
+const backup = require('./backup');
+const { hashPassword, verifyPassword } = require('./passwords');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -23,6 +49,48 @@ const loginLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+const resetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.MAX_RESET_REQUESTS) || 5,
+    message: { error: 'Too many password reset attempts, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const manageLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.MAX_MANAGE_REQUESTS) || 60,
+    message: { error: 'Too many requests, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// Every booking emails its confirmation to the address given, so this also keeps the
+// form from being used to send mail to strangers
+const bookingLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.MAX_BOOKING_REQUESTS) || 10,
+    message: { error: 'Too many bookings, please try again later or reach us on WhatsApp.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const checkoutLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.MAX_CHECKOUT_REQUESTS) || 20,
+    message: { error: 'Too many orders, please try again later.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+const messageLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: parseInt(process.env.MAX_MESSAGE_REQUESTS) || 5,
+    message: { error: 'Too many messages, please try again later or reach us on WhatsApp.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Session configuration
 app.use(session({
     secret: process.env.SESSION_SECRET || 'change-this-secret-key',
@@ -61,19 +129,199 @@ const upload = multer({
     limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit for videos
 });
 
+// Replaces an uploaded image with its WebP variants (see images.js) and sets req.image;
+// files that aren't really images are rejected here whatever their mimetype claimed
+function processImage(req, res, next) {
+    if (!req.file) return next();
+    
+    images.process(req.file.path)
+        .then(result => {
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message });
+            }
+            req.image = result;
+            req.media = media.register({
+                kind: 'image',
+                url: result.url,
+                variants: result.variants,
+                mime_type: 'image/webp',
+                width: result.width,
+                height: result.height,
+                original_name: req.file.originalname,
+                admin: req.admin
+            });
+            next();
+        })
+        .catch(next);
+}
+
+// Video uploads carry a "video" file and optionally a "poster" image
+const videoUpload = upload.fields([{ name: 'video', maxCount: 1 }, { name: 'poster', maxCount: 1 }]);
+
+// Checks an uploaded video by content and reads its duration, resolution and poster
+// into req.video; a poster sent without a video is processed into req.poster
+function processVideo(req, res, next) {
+    const files = req.files || {};
+    const video = files.video && files.video[0];
+    const poster = files.poster && files.poster[0];
+    
+    if (!video) {
+        if (!poster) return next();
+        return images.process(poster.path)
+            .then(result => {
+                if (!result.ok) {
+                    return res.status(result.status).json({ error: result.message });
+                }
+                req.poster = result;
+                media.register({
+                    kind: 'image',
+                    url: result.url,
+                    variants: result.variants,
+                    mime_type: 'image/webp',
+                    width: result.width,
+                    height: result.height,
+                    original_name: poster.originalname,
+                    admin: req.admin
+                });
+                next();
+            })
+            .catch(next);
+    }
+    
+    videoProcessing.analyze(video.path, { posterPath: poster ? poster.path : undefined })
+        .then(result => {
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message });
+            }
+            const metadata = result.metadata;
+            req.file = video;
+            req.video = metadata;
+            req.media = media.register({
+                kind: 'video',
+                url: `/uploads/${video.filename}`,
+                mime_type: metadata.mime_type,
+                width: metadata.width,
+                height: metadata.height,
+                duration_seconds: metadata.duration_seconds,
+                original_name: video.originalname,
+                admin: req.admin
+            });
+            if (metadata.thumbnail_variants) {
+                media.register({
+                    kind: 'image',
+                    url: metadata.thumbnail_url,
+                    variants: metadata.thumbnail_variants,
+                    mime_type: 'image/webp',
+                    original_name: poster ? poster.originalname : null,
+                    admin: req.admin
+                });
+            }
+            next();
+        })
+        .catch(next);
+}
+
 // Middleware
-app.use(bodyParser.json());
+// The raw body is kept because payment webhook signatures are computed over the exact bytes
+app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(express.static(__dirname));
+// Only the site's pages, the admin UI and uploads are public. The rest of the repo root
+// (server code, data/, backups/) is never served.
+const publicPages = express.static(__dirname, { index: false });
+app.use((req, res, next) => (/^\/[\w-]+\.html$/.test(req.path) ? publicPages(req, res, next) : next()));
+app.use('/admin', express.static(path.join(__dirname, 'admin')));
 app.use('/uploads', express.static('uploads'));
+app.use('/api', audit.middleware);
+
+// Escapes HTML special characters in values echoed back to the admin UI
+function sanitizeInput(value) {
+    return String(value || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#x27;');
+}
+
+function adminView(admin) {
+    return {
+        id: admin.id,
+        email: admin.email,
+        full_name: admin.full_name,
+        role: roles.roleOf(admin),
+        provider: admin.provider
+    };
+}
 
-// Authentication middleware
+// Authentication middleware; loads the signed-in admin as req.admin.
+// Sessions started before the admin's last password change are ended.
 function requireAuth(req, res, next) {
-    if (req.session && req.session.adminId) {
-        return next();
-    } else {
+    const admin = req.session && req.session.adminId ? db.findById('admins', req.session.adminId) : null;
+    if (!admin) {
         return res.status(401).json({ error: 'Authentication required' });
     }
+    if ((req.session.sessionVersion || 0) !== (admin.session_version || 0)) {
+        return req.session.destroy(() => res.status(401).json({ error: 'Session expired, please log in again' }));
+    }
+    req.admin = admin;
+    next();
+}
+
+// The signed-in admin, if any, for routes that also serve visitors
+function currentAdmin(req) {
+    const admin = req.session && req.session.adminId ? db.findById('admins', req.session.adminId) : null;
+    return admin && (req.session.sessionVersion || 0) === (admin.session_version || 0) ? admin : null;
+}
+
+// Permission middleware: 401 when nobody is signed in, 403 when the admin's role
+// does not include the permission (see roles.js)
+function requirePermission(permission) {
+    if (!roles.isPermission(permission)) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return (req, res, next) => requireAuth(req, res, () => {
+        const role = roles.roleOf(req.admin);
+        if (!roles.can(role, permission)) {
+            return res.status(403).json({ error: 'You do not have permission to do this', permission, role });
+        }
+        next();
+    });
+}
+
+// Responds with one page of a table: { items, total, limit, offset, next_cursor }
+// (filters, sort and pagination come from the query string, see list-query.js)
+function sendList(req, res, table, spec) {
+    try {
+        const options = listQuery.parse(req.query, spec);
+        res.json(db.query(table, options));
+    } catch (error) {
+        if (error.code === 'INVALID_QUERY') {
+            return res.status(400).json({ error: 'Invalid query', details: error.message });
+        }
+        console.error(`Error getting ${table}:`, error);
+        res.status(500).json({ error: `Failed to get ${table}: ` + error.message });
+    }
+}
+
+// Lists a public catalogue table (see catalogue.js): visitors get only what is live,
+// signed-in staff get everything and may filter on the visibility fields themselves
+function sendCatalogue(req, res, table, spec) {
+    const staff = Boolean(currentAdmin(req));
+    const visible = catalogue.VISIBLE[table];
+    const filters = { ...spec.filters };
+    if (staff) {
+        Object.keys(visible).forEach(field => { filters[field] = 'boolean'; });
+    }
+    catalogue.cacheHeaders(res, staff);
+    sendList(req, res, table, { ...spec, filters, baseFilters: staff ? {} : visible });
+}
+
+// HTML-escapes a variant's free-text options
+function sanitizeVariant(variant) {
+    return inventory.VARIANT_FIELDS.reduce((fields, field) => {
+        fields[field] = sanitizeInput(variant[field] || '');
+        return fields;
+    }, {});
 }
 
 // Admin login endpoint with validation
@@ -101,14 +349,17 @@ app.post('/api/admin/login',
             
             req.session.adminId = admin.id;
             req.session.adminEmail = admin.email;
+            req.session.sessionVersion = admin.session_version || 0;
             
             res.json({ 
                 success: true, 
                 admin: { 
                     id: admin.id, 
                     email: sanitizeInput(admin.email), 
-                    full_name: sanitizeInput(admin.full_name) 
-                } 
+                    full_name: sanitizeInput(admin.full_name),
+                    role: roles.roleOf(admin)
+                },
+                permissions: roles.permissionsFor(roles.roleOf(admin))
             });
         } catch (error) {
             console.error('Login error:', error);
@@ -117,228 +368,1521 @@ app.post('/api/admin/login',
     }
 );
 
-// Admin logout endpoint
-app.post('/api/admin/logout', (req, res) => {
-    req.session.destroy((err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Logout failed' });
-        }
-        res.json({ success: true });
+// Admin login with an Auth0/OIDC ID token: checks issuer, audience, expiry and
+// signature, then signs the matching admin in (allowlisted emails get an account)
+app.post('/api/admin/oidc-login', loginLimiter, async (req, res) => {
+    try {
+        const { id_token, nonce } = req.body;
+        
+        if (!id_token || typeof id_token !== 'string') {
+            return res.status(400).json({ error: 'id_token is required' });
+        }
+        
+        const result = await oidc.login(id_token, { nonce: typeof nonce === 'string' ? nonce : undefined });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        
+        // New session id so a session set up before login can't be reused
+        req.session.regenerate((err) => {
+            if (err) {
+                console.error('Session error:', err);
+                return res.status(500).json({ error: 'Login failed' });
+            }
+            
+            req.session.adminId = result.admin.id;
+            req.session.adminEmail = result.admin.email;
+            req.session.sessionVersion = result.admin.session_version || 0;
+            
+            const role = roles.roleOf(result.admin);
+            res.json({ success: true, admin: adminView(result.admin), permissions: roles.permissionsFor(role) });
+        });
+    } catch (error) {
+        console.error('OIDC login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Admin logout endpoint
+app.post('/api/admin/logout', (req, res) => {
+    req.session.destroy((err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+        res.json({ success: true });
+    });
+});
+
+// Start a password reset; the response is the same whether or not the email exists
+app.post('/api/admin/password-reset/request',
+    resetLimiter,
+    [
+        body('email').isEmail().withMessage('Valid email required')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+            }
+            
+            // Answer before looking the email up, so known and unknown addresses take as long
+            res.json({ success: true, message: 'If that email belongs to an admin account, a reset link is on its way.' });
+            passwordReset.request(req.body.email, { ip: req.ip })
+                .catch(error => console.error('Password reset request error:', error));
+        } catch (error) {
+            console.error('Password reset request error:', error);
+            res.status(500).json({ error: 'Failed to request password reset' });
+        }
+    }
+);
+
+// Finish a password reset with the emailed token; signs the admin out everywhere
+app.post('/api/admin/password-reset/confirm',
+    resetLimiter,
+    [
+        body('token').isString().isLength({ min: 20 }).withMessage('Reset token required'),
+        body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+            }
+            
+            const result = passwordReset.confirm(req.body.token, req.body.password);
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message });
+            }
+            
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Password reset confirm error:', error);
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    }
+);
+
+// Create admin account. The very first admin can be created without signing in
+// (initial setup) and becomes the owner; after that only owners can add staff.
+app.post('/api/admin/create', (req, res, next) => {
+    if (db.read('admins').length === 0) return next();
+    requirePermission('admins:manage')(req, res, next);
+}, async (req, res) => {
+    try {
+        const { email, password, full_name } = req.body;
+        
+        if (!email || !password || !full_name) {
+            return res.status(400).json({ error: 'All fields required' });
+        }
+        
+        const admins = db.read('admins');
+        if (admins.find(a => a.email === email)) {
+            return res.status(400).json({ error: 'Admin already exists' });
+        }
+        
+        // Initial setup is limited to the server-side admin allowlist
+        if (admins.length === 0 && !oidc.isAllowedEmail(email)) {
+            return res.status(403).json({ error: 'This email is not allowed to create the first admin account (see ADMIN_EMAILS)' });
+        }
+        
+        const role = admins.length === 0 ? 'owner' : (req.body.role || 'stylist');
+        if (!roles.isValidRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${roles.ROLES.join(', ')}` });
+        }
+        
+        const hashedPassword = hashPassword(password);
+        const admin = db.insert('admins', {
+            email,
+            password: hashedPassword,
+            full_name,
+            role,
+            provider: 'email'
+        });
+        
+        res.json({ success: true, admin: adminView(admin) });
+    } catch (error) {
+        console.error('Error creating admin:', error);
+        res.status(500).json({ error: 'Failed to create admin' });
+    }
+});
+
+// The signed-in admin and what their role allows
+app.get('/api/admin/me', requireAuth, (req, res) => {
+    const role = roles.roleOf(req.admin);
+    res.json({ admin: adminView(req.admin), permissions: roles.permissionsFor(role) });
+});
+
+// List staff accounts
+app.get('/api/admins', requirePermission('admins:manage'), (req, res) => {
+    try {
+        const admins = db.read('admins').map(adminView);
+        res.json({ admins, roles: roles.ROLES });
+    } catch (error) {
+        console.error('Error getting admins:', error);
+        res.status(500).json({ error: 'Failed to get admins: ' + error.message });
+    }
+});
+
+// Change a staff member's role (the salon always keeps at least one owner)
+app.put('/api/admins/:id/role', requirePermission('admins:manage'), (req, res) => {
+    try {
+        const { role } = req.body;
+        
+        if (!roles.isValidRole(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${roles.ROLES.join(', ')}` });
+        }
+        
+        const admins = db.read('admins');
+        const admin = admins.find(a => a.id == req.params.id);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        
+        const owners = admins.filter(a => roles.roleOf(a) === 'owner');
+        if (roles.roleOf(admin) === 'owner' && role !== 'owner' && owners.length === 1) {
+            return res.status(409).json({ error: 'Cannot remove the last owner' });
+        }
+        
+        const updated = db.update('admins', admin.id, { role });
+        res.json({ success: true, admin: adminView(updated) });
+    } catch (error) {
+        console.error('Error updating admin role:', error);
+        res.status(500).json({ error: 'Failed to update admin role: ' + error.message });
+    }
+});
+
+// Protected API Routes
+
+// Upload image endpoint
+app.post('/api/upload', requirePermission('uploads:create'), upload.single('image'), processImage, (req, res) => {
+    try {
+        if (!req.image) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+        res.json({ 
+            success: true, 
+            filename: path.basename(req.image.url),
+            url: req.image.url,
+            variants: req.image.variants,
+            width: req.image.width,
+            height: req.image.height
+        });
+    } catch (error) {
+        console.error('Upload error:', error);
+        res.status(500).json({ error: 'Upload failed: ' + error.message });
+    }
+});
+
+// List products (public: published and in stock; staff may filter ?published=&in_stock=):
+// ?category=&price_min=&price_max=&sort=&limit=&offset=|cursor=
+app.get('/api/products', (req, res) => {
+    sendCatalogue(req, res, 'products', {
+        filters: { category: 'string' },
+        ranges: { price: 'number' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['name', 'price', 'category', 'created_at'],
+        defaultSort: '-created_at'
+    });
+});
+
+// Validation shared by product create/update; a product is either sold as variants
+// (each with its own SKU, price and opening stock) or gets a single variant from sku/price/stock
+const productValidation = [
+    body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Product name required (1-100 chars)'),
+    body('description').optional().isLength({ max: 500 }).trim().withMessage('Description too long (max 500 chars)'),
+    body('category').custom(value => inventory.isCategory(value)).withMessage('Invalid category'),
+    body('variants').optional().isArray({ min: 1, max: 50 }).withMessage('Variants must be a list of 1-50 items'),
+    body('variants.*.sku').matches(/^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$/).withMessage('SKU must be 1-40 letters, digits, dots, dashes or underscores'),
+    body('variants.*.price').isFloat({ min: 0 }).withMessage('Valid variant price required'),
+    body('variants.*.stock').optional().isInt({ min: 0 }).withMessage('Stock must be a whole number of 0 or more'),
+    body(inventory.VARIANT_FIELDS.map(field => `variants.*.${field}`)).optional().isString().isLength({ max: 40 }).withMessage('Variant options must be text (max 40 chars)'),
+    body('sku').optional().matches(/^[A-Za-z0-9][A-Za-z0-9._-]{0,39}$/).withMessage('SKU must be 1-40 letters, digits, dots, dashes or underscores'),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a whole number of 0 or more'),
+    body('low_stock_threshold').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Low-stock threshold must be a whole number of 0 or more'),
+    body('published').optional().isBoolean().withMessage('published must be true or false')
+];
+
+// Variants for a product request: the given list, or one variant from sku/price/stock.
+// Returns { ok: true, variants, opening } or { ok: false, status, message }
+function productVariants(body, existing) {
+    let input = body.variants;
+    if (!input) {
+        if (existing && existing.variants && existing.variants.length) {
+            return { ok: true, variants: existing.variants, opening: [] };
+        }
+        if (body.price === undefined || body.price === '' || isNaN(parseFloat(body.price)) || parseFloat(body.price) < 0) {
+            return { ok: false, status: 400, message: 'Valid price required' };
+        }
+        const sku = body.sku || `${String(body.category).slice(0, 3)}-${Date.now().toString(36)}`;
+        input = [{ sku, price: body.price, stock: body.stock }];
+    }
+    
+    const skus = input.map(item => inventory.normalizeSku(item.sku));
+    const duplicates = skus.filter((sku, index) => skus.indexOf(sku) !== index);
+    if (duplicates.length) {
+        return { ok: false, status: 400, message: `Duplicate SKU in request: ${duplicates.join(', ')}` };
+    }
+    const taken = inventory.takenSkus(skus, existing ? existing.id : null);
+    if (taken.length) {
+        return { ok: false, status: 409, message: `SKU already used by another product: ${taken.join(', ')}` };
+    }
+    
+    const { variants, opening } = inventory.buildVariants(input, existing ? existing.variants || [] : []);
+    return { ok: true, variants: variants.map(variant => ({ ...variant, ...sanitizeVariant(variant) })), opening };
+}
+
+// Add new product (protected with validation)
+app.post('/api/products', 
+    requirePermission('products:write'),
+    productValidation,
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+            }
+
+            const { name, description, image_url, category, low_stock_threshold, published } = req.body;
+            const result = productVariants(req.body, null);
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message });
+            }
+            
+            const product = db.insert('products', { 
+                name: sanitizeInput(name), 
+                description: sanitizeInput(description || ''), 
+                image_url: sanitizeInput(image_url || ''), 
+                image_variants: images.variantsFor(image_url),
+                category: sanitizeInput(category), 
+                variants: result.variants,
+                low_stock_threshold: low_stock_threshold !== undefined && low_stock_threshold !== null ? parseInt(low_stock_threshold) : null,
+                published: catalogue.flag(published, true),
+                ...inventory.totals(result.variants)
+            });
+            inventory.logOpeningStock(product, result.opening, req.admin);
+            
+            res.json({ success: true, product });
+        } catch (error) {
+            console.error('Error adding product:', error);
+            res.status(500).json({ error: 'Failed to add product' });
+        }
+    }
+);
+
+// Update product; variant stock is kept, use POST /api/products/:id/stock to change it
+app.put('/api/products/:id', requirePermission('products:write'), productValidation, (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, description, image_url, category, low_stock_threshold, published } = req.body;
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+        
+        const existingProduct = db.findById('products', parseInt(id));
+        if (!existingProduct) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        
+        const result = productVariants(req.body, existingProduct);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        
+        const product = db.update('products', existingProduct.id, { 
+            name: sanitizeInput(name), 
+            description: sanitizeInput(description || ''), 
+            image_url: sanitizeInput(image_url || ''), 
+            image_variants: images.variantsFor(image_url),
+            category: sanitizeInput(category),
+            variants: result.variants,
+            low_stock_threshold: low_stock_threshold !== undefined
+                ? (low_stock_threshold === null ? null : parseInt(low_stock_threshold))
+                : (existingProduct.low_stock_threshold !== undefined ? existingProduct.low_stock_threshold : null),
+            published: catalogue.flag(published, existingProduct.published !== false),
+            ...inventory.totals(result.variants)
+        }, { expectedVersion: req.body.version });
+        inventory.logOpeningStock(product, result.opening, req.admin);
+        
+        res.json({ success: true, product });
+    } catch (error) {
+        if (error.code === 'STALE_WRITE') {
+            return res.status(409).json({ error: 'Product was changed by someone else, please reload', product: error.current });
+        }
+        console.error('Error updating product:', error);
+        res.status(500).json({ error: 'Failed to update product: ' + error.message });
+    }
+});
+
+// Adjust one variant's stock: { sku, change: -2, reason: 'sale'|'restock'|..., note }
+app.post('/api/products/:id/stock', requirePermission('inventory:adjust'), [
+    body('sku').isString().notEmpty().withMessage('SKU required'),
+    body('change').isInt().custom(value => parseInt(value) !== 0).withMessage('Change must be a non-zero whole number'),
+    body('reason').isIn(inventory.REASONS).withMessage(`Reason must be one of: ${inventory.REASONS.join(', ')}`),
+    body('note').optional().isLength({ max: 300 }).trim().withMessage('Note too long (max 300 chars)')
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+        
+        const result = inventory.adjust(parseInt(req.params.id), req.body.sku, parseInt(req.body.change), {
+            reason: req.body.reason,
+            note: sanitizeInput(req.body.note || ''),
+            admin: req.admin
+        });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        
+        res.json({ success: true, product: result.product, movement: result.movement });
+    } catch (error) {
+        console.error('Error adjusting stock:', error);
+        res.status(500).json({ error: 'Failed to adjust stock: ' + error.message });
+    }
+});
+
+// Stock log (newest first): ?product_id=&sku=&reason=&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/stock-movements', requirePermission('inventory:read'), (req, res) => {
+    sendList(req, res, 'stock_movements', {
+        filters: { product_id: 'number', sku: 'string', reason: 'string', order_id: 'number', admin_id: 'number' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['created_at'],
+        defaultSort: '-created_at'
+    });
+});
+
+// Variants at or below their low-stock threshold, emptiest first
+app.get('/api/inventory/low-stock', requirePermission('inventory:read'), (req, res) => {
+    try {
+        const items = inventory.lowStock();
+        res.json({ items, total: items.length, default_threshold: inventory.config.lowStockThreshold });
+    } catch (error) {
+        console.error('Error getting low stock:', error);
+        res.status(500).json({ error: 'Failed to get low stock: ' + error.message });
+    }
+});
+
+// Product categories (public): ?active=true
+app.get('/api/product-categories', (req, res) => {
+    sendList(req, res, 'product_categories', {
+        filters: { active: 'boolean' },
+        sortable: ['display_order', 'name'],
+        defaultSort: 'display_order,name'
+    });
+});
+
+const categoryValidation = [
+    body('name').isLength({ min: 1, max: 60 }).trim().withMessage('Category name required (1-60 chars)'),
+    body('active').optional().isBoolean().withMessage('active must be true or false'),
+    body('display_order').optional().isInt({ min: 0 }).withMessage('display_order must be a whole number')
+];
+
+// Add product category
+app.post('/api/product-categories', requirePermission('products:write'), [
+    body('slug').matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug must be lowercase words joined by dashes'),
+    ...categoryValidation
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+        
+        const { slug, name, active, display_order } = req.body;
+        if (inventory.categorySlugs({ activeOnly: false }).includes(slug)) {
+            return res.status(409).json({ error: `Category "${slug}" already exists` });
+        }
+        
+        const category = db.insert('product_categories', {
+            slug,
+            name: sanitizeInput(name),
+            active: active === undefined ? true : active === true || active === 'true',
+            display_order: display_order !== undefined ? parseInt(display_order) : 0
+        });
+        
+        res.json({ success: true, category });
+    } catch (error) {
+        console.error('Error adding product category:', error);
+        res.status(500).json({ error: 'Failed to add product category: ' + error.message });
+    }
+});
+
+// Rename, reorder or (de)activate a category; the slug stays fixed because products store it
+app.put('/api/product-categories/:id', requirePermission('products:write'), categoryValidation, (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+        
+        const existing = db.findById('product_categories', parseInt(req.params.id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        const { name, active, display_order } = req.body;
+        const category = db.update('product_categories', existing.id, {
+            name: sanitizeInput(name),
+            active: active === undefined ? existing.active : active === true || active === 'true',
+            display_order: display_order !== undefined ? parseInt(display_order) : existing.display_order
+        }, { expectedVersion: req.body.version });
+        
+        res.json({ success: true, category });
+    } catch (error) {
+        if (error.code === 'STALE_WRITE') {
+            return res.status(409).json({ error: 'Category was changed by someone else, please reload', category: error.current });
+        }
+        console.error('Error updating product category:', error);
+        res.status(500).json({ error: 'Failed to update product category: ' + error.message });
+    }
+});
+
+// Delete a category no product uses (deactivate it otherwise)
+app.delete('/api/product-categories/:id', requirePermission('products:write'), (req, res) => {
+    try {
+        const category = db.findById('product_categories', parseInt(req.params.id));
+        if (!category) {
+            return res.status(404).json({ error: 'Category not found' });
+        }
+        
+        const inUse = db.read('products').filter(product => product.category === category.slug).length;
+        if (inUse) {
+            return res.status(409).json({ error: `${inUse} product(s) use this category; deactivate it instead` });
+        }
+        
+        db.delete('product_categories', category.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting product category:', error);
+        res.status(500).json({ error: 'Failed to delete product category: ' + error.message });
+    }
+});
+
+// Delete product
+app.delete('/api/products/:id', requirePermission('products:write'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const success = db.delete('products', parseInt(id));
+        
+        if (!success) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting product:', error);
+        res.status(500).json({ error: 'Failed to delete product: ' + error.message });
+    }
+});
+
+// List bookings: ?status=pending,confirmed&service_id=&service_name=&customer_phone=&customer_id=&from=&to=&sort=&limit=&offset=|cursor=
+app.get('/api/bookings', requirePermission('bookings:read'), (req, res) => {
+    sendList(req, res, 'bookings', {
+        filters: { status: 'string', service_id: 'number', service_name: 'string', customer_phone: 'string', customer_id: 'number' },
+        dateField: 'booking_date',
+        sortable: ['booking_date', 'booking_time', 'status', 'customer_name', 'service_name', 'created_at'],
+        defaultSort: '-booking_date,-booking_time'
+    });
+});
+
+// Add new booking (rejects out-of-hours and overlapping slots)
+app.post('/api/bookings',
+    bookingLimiter,
+    [
+        body('customer_name').isLength({ min: 1, max: 100 }).trim().withMessage('Customer name required (1-100 chars)'),
+        body('customer_phone').isLength({ min: 7, max: 20 }).trim().custom(value => customers.normalizePhone(value) !== null).withMessage('Valid phone number required'),
+        body('customer_email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Valid email required'),
+        body('service_id').isInt({ min: 1 }).withMessage('Service required'),
+        body('booking_date').custom(availability.isValidDate).withMessage('Booking date must be YYYY-MM-DD'),
+        body('booking_time').matches(/^\d{2}:\d{2}$/).withMessage('Booking time must be HH:MM'),
+        body('notes').optional().isLength({ max: 500 }).trim().withMessage('Notes too long (max 500 chars)')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+            }
+
+            const { service_id, booking_date, booking_time } = req.body;
+            const customer_name = sanitizeInput(req.body.customer_name);
+            const customer_phone = sanitizeInput(req.body.customer_phone);
+            const customer_email = req.body.customer_email || '';
+            const notes = sanitizeInput(req.body.notes || '');
+
+            const service = services.findActive(service_id);
+            if (!service) {
+                return res.status(400).json({ error: 'This service is not available for booking' });
+            }
+
+            const slot = availability.checkSlot({ service: service.id, date: booking_date, time: booking_time });
+            if (!slot.ok) {
+                return res.status(409).json({ error: slot.message, reason: slot.reason });
+            }
+
+            const manageToken = bookingSelfService.createToken();
+            const booking = db.insert('bookings', {
+                customer_name, customer_phone, customer_email,
+                customer_id: customers.idFor({ customer_name, customer_phone, customer_email }),
+                ...services.snapshot(service),
+                booking_date, booking_time, duration_minutes: slot.duration,
+                notes, status: 'pending',
+                status_history: bookingLifecycle.initialHistory({ actor: 'customer' }),
+                manage_token_hash: manageToken.hash
+            });
+            const manageUrl = bookingSelfService.manageUrl(manageToken.token);
+            notifications.notify('booking.created', { ...booking, manage_url: manageUrl }, {
+                relatedTable: 'bookings',
+                relatedId: booking.id,
+                attachments: [calendar.attachment(booking)],
+                secretFields: ['manage_link']
+            });
+
+            res.json({
+                success: true,
+                booking: bookingSelfService.publicView(booking),
+                manage_token: manageToken.token,
+                manage_url: manageUrl
+            });
+        } catch (error) {
+            console.error('Error adding booking:', error);
+            res.status(500).json({ error: 'Failed to add booking: ' + error.message });
+        }
+    }
+);
+
+// Checkout (public): prices the cart against current products and stock, stores the order
+// and returns a prefilled WhatsApp link plus a private token for looking the order up later
+app.post('/api/orders',
+    checkoutLimiter,
+    [
+        body('customer_name').isLength({ min: 1, max: 100 }).trim().withMessage('Customer name required (1-100 chars)'),
+        body('customer_phone').isLength({ min: 7, max: 20 }).trim().custom(value => customers.normalizePhone(value) !== null).withMessage('Valid phone number required'),
+        body('customer_email').optional({ values: 'falsy' }).isEmail().normalizeEmail().withMessage('Valid email required'),
+        body('delivery_method').optional().isIn(['pickup', 'delivery']).withMessage('Delivery method must be pickup or delivery'),
+        body('delivery_address').if(body('delivery_method').equals('delivery')).isLength({ min: 5, max: 300 }).trim().withMessage('Delivery address required'),
+        body('notes').optional().isLength({ max: 500 }).trim().withMessage('Notes too long (max 500 chars)'),
+        body('items').isArray({ min: 1, max: orders.config.maxLines }).withMessage(`Cart must have 1-${orders.config.maxLines} items`),
+        body('items.*.product_id').isInt({ min: 1 }).withMessage('Valid product required'),
+        body('items.*.sku').isString().notEmpty().withMessage('SKU required'),
+        body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+        body('items.*.unit_price').optional().isFloat({ min: 0 }).withMessage('Valid unit price required')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+            }
+
+            const { customer_name, customer_phone, customer_email, delivery_method, delivery_address, notes } = req.body;
+            const result = orders.create(req.body.items, {
+                customer_name: sanitizeInput(customer_name),
+                customer_phone: sanitizeInput(customer_phone),
+                customer_email,
+                customer_id: customers.idFor({ customer_name: sanitizeInput(customer_name), customer_phone, customer_email }),
+                delivery_method,
+                delivery_address: sanitizeInput(delivery_address || ''),
+                notes: sanitizeInput(notes || '')
+            });
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message, problems: result.problems });
+            }
+
+            const order = result.order;
+            notifications.notify('order.created', {
+                ...order,
+                total_text: orders.formatMoney(order.total),
+                items_text: orders.itemsText(order)
+            }, { relatedTable: 'orders', relatedId: order.id });
+
+            res.json({
+                success: true,
+                order: orders.publicView(order),
+                order_token: result.token,
+                whatsapp_url: orders.whatsappUrl(order)
+            });
+        } catch (error) {
+            console.error('Error creating order:', error);
+            res.status(500).json({ error: 'Failed to create order: ' + error.message });
+        }
+    }
+);
+
+// Customer view of their own order through the token returned at checkout
+app.get('/api/orders/track/:token', manageLimiter, (req, res) => {
+    const order = orders.findByToken(req.params.token);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(orders.publicView(order));
+});
+
+// Customer pays for their order at the payment provider's checkout
+app.post('/api/orders/track/:token/payments', manageLimiter, async (req, res) => {
+    try {
+        const order = orders.findByToken(req.params.token);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        
+        const result = await payments.createIntent('orders', order, {
+            callbackUrl: `${notifications.config.siteUrl}/products.html?order=${encodeURIComponent(order.order_number)}`
+        });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        
+        res.json({ success: true, payment: payments.publicView(result.payment) });
+    } catch (error) {
+        console.error('Error starting order payment:', error);
+        res.status(500).json({ error: 'Failed to start payment: ' + error.message });
+    }
+});
+
+// Order statuses and the legal moves between them (used by the dashboard)
+app.get('/api/orders/statuses', (req, res) => {
+    res.json({ statuses: orders.STATUSES, transitions: orders.TRANSITIONS });
+});
+
+// List orders (newest first): ?status=&customer_phone=&customer_id=&from=YYYY-MM-DD&to=YYYY-MM-DD&sort=-total
+app.get('/api/orders', requirePermission('orders:read'), (req, res) => {
+    sendList(req, res, 'orders', {
+        filters: { status: 'string', customer_phone: 'string', customer_id: 'number', order_number: 'string', delivery_method: 'string' },
+        ranges: { total: 'number' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['created_at', 'total', 'status'],
+        defaultSort: '-created_at'
+    });
+});
+
+// Get one order
+app.get('/api/orders/:id', requirePermission('orders:read'), (req, res) => {
+    const order = db.findById('orders', parseInt(req.params.id));
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json(order);
+});
+
+// Update order status (only legal transitions; cancelling or refunding restocks the items)
+app.put('/api/orders/:id', requirePermission('orders:update'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason } = req.body;
+        
+        if (!status) {
+            return res.status(400).json({ error: 'Status is required' });
+        }
+        
+        const previous = db.findById('orders', parseInt(id));
+        const cleanReason = typeof reason === 'string' ? sanitizeInput(reason.trim().slice(0, 500)) : '';
+        const result = orders.transition(parseInt(id), status, {
+            adminId: req.admin.id,
+            admin: req.admin,
+            reason: cleanReason,
+            expectedVersion: req.body.version
+        });
+        
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message, allowed: result.allowed });
+        }
+        
+        notifications.notify('order.status_changed', {
+            ...result.order,
+            previous_status: previous.status,
+            total_text: orders.formatMoney(result.order.total),
+            reason: cleanReason
+        }, { relatedTable: 'orders', relatedId: result.order.id });
+        
+        res.json({ success: true, order: result.order });
+    } catch (error) {
+        console.error('Error updating order:', error);
+        res.status(500).json({ error: 'Failed to update order: ' + error.message });
+    }
+});
+
+// Payment provider webhooks (paystack, flutterwave, mock); the signature is checked against the raw body
+app.post('/api/payments/webhook/:provider', (req, res) => {
+    try {
+        const result = payments.handleWebhook(req.params.provider, req.rawBody, req.headers);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.json({ received: true, message: result.message, duplicate: Boolean(result.duplicate) });
+    } catch (error) {
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({ error: 'Failed to handle webhook: ' + error.message });
+    }
+});
+
+// Mock provider checkout page: buttons that deliver a signed webhook. Only registered
+// with PAYMENT_PROVIDER=mock, since it lets anyone mark a payment as paid
+if (payments.config.provider === 'mock') {
+    app.get('/api/payments/mock/:reference', (req, res) => {
+        const payment = db.read('payments').find(item => item.reference === req.params.reference);
+        if (!payment) {
+            return res.status(404).json({ error: 'Payment not found' });
+        }
+        
+        const reference = sanitizeInput(payment.reference);
+        res.send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Mock payment</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto; text-align: center;">
+    <h1>Mock payment</h1>
+    <p>${reference}</p>
+    <p><strong>${sanitizeInput(payment.currency)} ${Number(payment.amount).toLocaleString()}</strong> &middot; ${sanitizeInput(payment.status)}</p>
+    <button onclick="complete('success')">Pay</button>
+    <button onclick="complete('failed')">Fail</button>
+    <p id="result"></p>
+    <script>
+        function complete(outcome) {
+            fetch(window.location.pathname, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ outcome })
+            })
+            .then(response => response.json())
+            .then(data => { document.getElementById('result').textContent = data.message || data.error; });
+        }
+    </script>
+</body>
+</html>`);
+    });
+
+    app.post('/api/payments/mock/:reference', (req, res) => {
+        try {
+            const payment = db.read('payments').find(item => item.reference === req.params.reference);
+            if (!payment) {
+                return res.status(404).json({ error: 'Payment not found' });
+            }
+            
+            const outcome = req.body.outcome === 'failed' ? 'failed' : 'success';
+            const event = payments.providers.mock.event(payment, outcome);
+            const result = payments.handleWebhook('mock', Buffer.from(event.body), event.headers);
+            res.status(result.status).json({ success: result.ok, message: result.message, payment: result.payment ? payments.publicView(result.payment) : null });
+        } catch (error) {
+            console.error('Error completing mock payment:', error);
+            res.status(500).json({ error: 'Failed to complete mock payment: ' + error.message });
+        }
+    });
+}
+
+// List payments (newest first): ?status=&provider=&related_table=orders&related_id=&reference=
+app.get('/api/payments', requirePermission('payments:read'), (req, res) => {
+    sendList(req, res, 'payments', {
+        filters: { status: 'string', provider: 'string', related_table: 'string', related_id: 'number', reference: 'string', purpose: 'string' },
+        ranges: { amount: 'number' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['created_at', 'amount'],
+        defaultSort: '-created_at'
+    });
+});
+
+// Get free appointment slots for a service on a date
+app.get('/api/availability', (req, res) => {
+    try {
+        const { service, date } = req.query;
+
+        if (!service || !availability.isValidDate(date)) {
+            return res.status(400).json({ error: 'service and date (YYYY-MM-DD) are required' });
+        }
+
+        res.json(availability.getAvailableSlots(service, date));
+    } catch (error) {
+        console.error('Error getting availability:', error);
+        res.status(500).json({ error: 'Failed to get availability: ' + error.message });
+    }
+});
+
+// Customer self-service: view a booking through its manage link
+app.get('/api/bookings/manage/:token', manageLimiter, (req, res) => {
+    const booking = bookingSelfService.findByToken(req.params.token);
+    if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+    }
+    res.json(bookingSelfService.publicView(booking));
+});
+
+// Customer self-service: pay the booking deposit at the payment provider's checkout
+app.post('/api/bookings/manage/:token/payments', manageLimiter, async (req, res) => {
+    try {
+        const booking = bookingSelfService.findByToken(req.params.token);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        
+        const result = await payments.createIntent('bookings', booking, {
+            callbackUrl: `${notifications.config.siteUrl}${bookingSelfService.manageUrl(req.params.token)}`
+        });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        
+        res.json({ success: true, payment: payments.publicView(result.payment) });
+    } catch (error) {
+        console.error('Error starting booking payment:', error);
+        res.status(500).json({ error: 'Failed to start payment: ' + error.message });
+    }
+});
+
+// Customer self-service: free slots for rescheduling (ignores the booking's own slot)
+app.get('/api/bookings/manage/:token/availability', manageLimiter, (req, res) => {
+    const booking = bookingSelfService.findByToken(req.params.token);
+    if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+    }
+    if (!availability.isValidDate(req.query.date)) {
+        return res.status(400).json({ error: 'date (YYYY-MM-DD) is required' });
+    }
+    res.json(bookingSelfService.getSlots(booking, req.query.date));
+});
+
+// Customer self-service: move the appointment to another free slot
+app.post('/api/bookings/manage/:token/reschedule', manageLimiter, (req, res) => {
+    try {
+        const booking = bookingSelfService.findByToken(req.params.token);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const { booking_date, booking_time } = req.body;
+        const result = bookingSelfService.reschedule(booking, { booking_date, booking_time });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message, reason: result.reason });
+        }
+
+        notifications.notify('booking.rescheduled', {
+            ...result.booking,
+            previous_date: booking.booking_date,
+            previous_time: booking.booking_time
+        }, { relatedTable: 'bookings', relatedId: booking.id, attachments: [calendar.attachment(result.booking)] });
+
+        res.json({ success: true, booking: bookingSelfService.publicView(result.booking) });
+    } catch (error) {
+        console.error('Error rescheduling booking:', error);
+        res.status(500).json({ error: 'Failed to reschedule booking: ' + error.message });
+    }
+});
+
+// Customer self-service: cancel the appointment
+app.post('/api/bookings/manage/:token/cancel', manageLimiter, (req, res) => {
+    try {
+        const booking = bookingSelfService.findByToken(req.params.token);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const reason = typeof req.body.reason === 'string' ? sanitizeInput(req.body.reason.trim().slice(0, 500)) : '';
+        const result = bookingSelfService.cancel(booking, reason);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+
+        notifications.notify('booking.status_changed', {
+            ...result.booking,
+            previous_status: booking.status,
+            actor: 'customer',
+            reason
+        }, { relatedTable: 'bookings', relatedId: booking.id, attachments: [calendar.attachment(result.booking)] });
+
+        res.json({ success: true, booking: bookingSelfService.publicView(result.booking) });
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        res.status(500).json({ error: 'Failed to cancel booking: ' + error.message });
+    }
+});
+
+// Customer self-service: download the appointment as an .ics file
+app.get('/api/bookings/manage/:token/calendar.ics', manageLimiter, (req, res) => {
+    const booking = bookingSelfService.findByToken(req.params.token);
+    if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+    }
+    res.type('text/calendar');
+    res.attachment(`booking-${booking.id}.ics`);
+    res.send(calendar.build([booking], { audience: 'customer' }));
+});
+
+// Issue (or rotate) the logged-in admin's secret calendar feed token
+app.post('/api/admin/calendar-token', requirePermission('calendar:feed'), (req, res) => {
+    try {
+        const token = calendar.rotateFeedToken(req.admin.id);
+        
+        if (!token) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+        
+        res.json({ success: true, token, feed_url: `/api/bookings.ics?token=${token}` });
+    } catch (error) {
+        console.error('Error creating calendar token:', error);
+        res.status(500).json({ error: 'Failed to create calendar token: ' + error.message });
+    }
+});
+
+// iCalendar feed of bookings (?token=&status=pending,confirmed&from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get('/api/bookings.ics', (req, res) => {
+    try {
+        const { token, status, from, to } = req.query;
+        
+        const admin = calendar.findAdminByFeedToken(token);
+        if (!admin || !roles.can(roles.roleOf(admin), 'calendar:feed')) {
+            return res.status(401).json({ error: 'Valid calendar token required' });
+        }
+        if ((from && !availability.isValidDate(from)) || (to && !availability.isValidDate(to))) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+        }
+        
+        const bookings = calendar.feedBookings({ status, from, to });
+        res.type('text/calendar');
+        res.set('Cache-Control', 'no-cache');
+        res.send(calendar.build(bookings, { name: "Deny's Beauty World Bookings" }));
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({ error: 'Failed to build calendar feed: ' + error.message });
+    }
+});
+
+// Download a single booking as an .ics file
+app.get('/api/bookings/:id/calendar.ics', requirePermission('bookings:read'), (req, res) => {
+    const booking = db.findById('bookings', parseInt(req.params.id));
+    if (!booking) {
+        return res.status(404).json({ error: 'Booking not found' });
+    }
+    res.type('text/calendar');
+    res.attachment(`booking-${booking.id}.ics`);
+    res.send(calendar.build([booking]));
+});
+
+// Booking statuses and the transitions allowed from each
+app.get('/api/bookings/statuses', (req, res) => {
+    res.json({ statuses: bookingLifecycle.STATUSES, transitions: bookingLifecycle.TRANSITIONS });
+});
+
+// Update booking status (only legal transitions, recorded in status_history)
+app.put('/api/bookings/:id', requirePermission('bookings:update'), (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status, reason } = req.body;
+        
+        if (!status) {
+            return res.status(400).json({ error: 'Status is required' });
+        }
+        
+        const previous = db.findById('bookings', parseInt(id));
+        const cleanReason = typeof reason === 'string' ? sanitizeInput(reason.trim().slice(0, 500)) : '';
+        const result = bookingLifecycle.transition(parseInt(id), status, {
+            adminId: req.admin.id,
+            reason: cleanReason,
+            expectedVersion: req.body.version
+        });
+        
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message, allowed: result.allowed });
+        }
+        
+        notifications.notify('booking.status_changed', {
+            ...result.booking,
+            previous_status: previous.status,
+            actor: 'staff',
+            reason: cleanReason
+        }, { relatedTable: 'bookings', relatedId: result.booking.id, attachments: [calendar.attachment(result.booking)] });
+        
+        res.json({ success: true, booking: result.booking });
+    } catch (error) {
+        console.error('Error updating booking:', error);
+        res.status(500).json({ error: 'Failed to update booking: ' + error.message });
+    }
+});
+
+// Delete all bookings
+app.delete('/api/bookings/all', requirePermission('bookings:delete'), (req, res) => {
+    try {
+        db.write('bookings', []);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting all bookings:', error);
+        res.status(500).json({ error: 'Failed to delete all bookings: ' + error.message });
+    }
+});
+
+// List customers: ?phone=&email=&visit_count_min=&total_spend_min=&last_visit_date_min=&sort=-total_spend
+// (phone may be written any way, e.g. 0816 755 9196)
+app.get('/api/customers', requirePermission('customers:read'), (req, res) => {
+    if (req.query.phone) {
+        req.query.phone = customers.normalizePhone(req.query.phone) || req.query.phone;
+    }
+    sendList(req, res, 'customers', {
+        filters: { phone: 'string', email: 'string' },
+        ranges: { visit_count: 'number', total_spend: 'number', last_visit_date: 'string' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['name', 'created_at', 'visit_count', 'booking_count', 'total_spend', 'last_visit_date'],
+        defaultSort: 'name'
+    });
+});
+
+// Customers who share an email address and may need merging
+app.get('/api/customers/duplicates', requirePermission('customers:read'), (req, res) => {
+    res.json({ items: customers.duplicates() });
+});
+
+// Find a customer by any of their phone numbers
+app.get('/api/customers/lookup', requirePermission('customers:read'), (req, res) => {
+    const customer = customers.findByPhone(req.query.phone);
+    if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(customer);
+});
+
+// Get one customer with their booking and order history
+app.get('/api/customers/:id', requirePermission('customers:read'), (req, res) => {
+    const customer = db.findById('customers', parseInt(req.params.id));
+    if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+    }
+    res.json(customers.history(customer));
+});
+
+// Add a private stylist note to a customer
+app.post('/api/customers/:id/notes',
+    requirePermission('customers:notes'),
+    [
+        body('text').isLength({ min: 1, max: 2000 }).trim().withMessage('Note required (1-2000 chars)')
+    ],
+    (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+            }
+
+            const result = customers.addNote(parseInt(req.params.id), sanitizeInput(req.body.text), req.admin);
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message });
+            }
+
+            res.json({ success: true, note: result.note, customer: result.customer });
+        } catch (error) {
+            console.error('Error adding customer note:', error);
+            res.status(500).json({ error: 'Failed to add note: ' + error.message });
+        }
+    }
+);
+
+// Delete a stylist note
+app.delete('/api/customers/:id/notes/:noteId', requirePermission('customers:notes'), (req, res) => {
+    try {
+        const result = customers.deleteNote(parseInt(req.params.id), req.params.noteId);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+
+        res.json({ success: true, customer: result.customer });
+    } catch (error) {
+        console.error('Error deleting customer note:', error);
+        res.status(500).json({ error: 'Failed to delete note: ' + error.message });
+    }
+});
+
+// Merge a duplicate customer into this one: { duplicate_id }
+app.post('/api/customers/:id/merge', requirePermission('customers:merge'), (req, res) => {
+    try {
+        const duplicateId = parseInt(req.body.duplicate_id);
+        if (!duplicateId) {
+            return res.status(400).json({ error: 'duplicate_id is required' });
+        }
+
+        const result = customers.merge(parseInt(req.params.id), duplicateId);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+
+        res.json({ success: true, customer: result.customer });
+    } catch (error) {
+        console.error('Error merging customers:', error);
+        res.status(500).json({ error: 'Failed to merge customers: ' + error.message });
+    }
+});
+
+// Available reports
+app.get('/api/reports', requirePermission('reports:read'), (req, res) => {
+    res.json({ items: reports.list() });
+});
+
+// Run a report: ?from=YYYY-MM-DD&to=YYYY-MM-DD&limit= (top-products); ?format=csv downloads it
+app.get('/api/reports/:name', requirePermission('reports:read'), [
+    query('from').optional().custom(availability.isValidDate).withMessage('from must be YYYY-MM-DD'),
+    query('to').optional().custom(availability.isValidDate).withMessage('to must be YYYY-MM-DD'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    query('format').optional().isIn(['json', 'csv']).withMessage('format must be json or csv')
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+
+        const { from, to } = req.query;
+        const options = req.query.limit ? { limit: parseInt(req.query.limit) } : {};
+        const result = reports.run(req.params.name, { from, to }, options);
+        if (!result) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        if (req.query.format === 'csv') {
+            return csv.send(res, `${result.report}_${from || 'start'}_${to || 'today'}.csv`, result.columns, result.rows);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error running report:', error);
+        res.status(500).json({ error: 'Failed to run report: ' + error.message });
+    }
+});
+
+// Notification outbox (newest first): ?status=&channel=&event=&from=&to=
+app.get('/api/notifications', requirePermission('notifications:read'), (req, res) => {
+    sendList(req, res, 'notifications', {
+        filters: { status: 'string', channel: 'string', event: 'string' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['created_at', 'status'],
+        defaultSort: '-created_at'
+    });
+});
+
+// Audit log of data changes (newest first):
+// ?admin_id=&table=bookings&action=replace&record_id=&method=DELETE&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/audit', requirePermission('audit:read'), (req, res) => {
+    sendList(req, res, 'audit_log', {
+        filters: { admin_id: 'number', admin_email: 'string', table: 'string', action: 'string', record_id: 'number', method: 'string' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['created_at'],
+        defaultSort: '-created_at'
+    });
+});
+
+// Media library: every uploaded file with the records that use it, so assets can be reused
+// by putting their url on another record. ?kind=image|video&source=&from=&to=&sort=-size
+app.get('/api/media', requirePermission('media:read'), (req, res) => {
+    sendList(req, res, 'media', {
+        filters: { kind: 'string', mime_type: 'string', source: 'string', uploaded_by: 'number' },
+        ranges: { size: 'number' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['created_at', 'size', 'original_name'],
+        defaultSort: '-created_at'
     });
 });
 
-// Create admin account (for initial setup)
-app.post('/api/admin/create', async (req, res) => {
+// Files no record has used for the grace period (?grace_hours= overrides MEDIA_ORPHAN_GRACE_HOURS)
+app.get('/api/media/orphans', requirePermission('media:manage'), [
+    query('grace_hours').optional().isFloat({ min: 0 }).withMessage('grace_hours must be a number of hours')
+], async (req, res) => {
     try {
-        const { email, password, full_name } = req.body;
-        
-        if (!email || !password || !full_name) {
-            return res.status(400).json({ error: 'All fields required' });
-        }
-        
-        const admins = db.read('admins');
-        if (admins.find(a => a.email === email)) {
-            return res.status(400).json({ error: 'Admin already exists' });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
         }
         
-        const hashedPassword = hashPassword(password);
-        const admin = db.insert('admins', {
-            email,
-            password: hashedPassword,
-            full_name,
-            provider: 'email'
-        });
-        
-        res.json({ success: true, admin: { id: admin.id, email: admin.email, full_name: admin.full_name } });
+        const graceHours = req.query.grace_hours !== undefined ? parseFloat(req.query.grace_hours) : undefined;
+        res.json(await media.cleanup({ dryRun: true, graceHours }));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create admin' });
+        console.error('Error listing orphaned media:', error);
+        res.status(500).json({ error: 'Failed to list orphaned media: ' + error.message });
     }
 });
 
-// Protected API Routes
-
-// Upload image endpoint
-app.post('/api/upload', requireAuth, upload.single('image'), (req, res) => {
+// Delete orphaned files; { "dry_run": true } only reports what would go
+app.post('/api/media/cleanup', requirePermission('media:manage'), [
+    body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false'),
+    body('grace_hours').optional().isFloat({ min: 0 }).withMessage('grace_hours must be a number of hours')
+], async (req, res) => {
     try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
         }
-        res.json({ 
-            success: true, 
-            filename: req.file.filename,
-            url: `/uploads/${req.file.filename}`
+        
+        const result = await media.cleanup({
+            dryRun: req.body.dry_run === true || req.body.dry_run === 'true',
+            graceHours: req.body.grace_hours !== undefined ? parseFloat(req.body.grace_hours) : undefined
         });
+        res.json(result);
     } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ error: 'Upload failed: ' + error.message });
+        console.error('Error cleaning up media:', error);
+        res.status(500).json({ error: 'Failed to clean up media: ' + error.message });
     }
 });
 
-// Get all products (public)
-app.get('/api/products', (req, res) => {
+// Re-send a failed notification
+app.post('/api/notifications/:id/retry', requirePermission('notifications:retry'), async (req, res) => {
     try {
-        const products = db.read('products');
-        res.json(products);
+        const result = await notifications.retry(parseInt(req.params.id));
+        
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        
+        res.json({ success: result.notification.status === 'sent', notification: result.notification });
     } catch (error) {
-        console.error('Error getting products:', error);
-        res.status(500).json({ error: 'Failed to get products: ' + error.message });
+        console.error('Error retrying notification:', error);
+        res.status(500).json({ error: 'Failed to retry notification: ' + error.message });
     }
 });
 
-// Add new product (protected with validation)
-app.post('/api/products', 
-    requireAuth,
+// Contact form (public). "website" is a honeypot hidden from people: bots that fill it in
+// get the usual success response, but nothing is stored or sent
+app.post('/api/messages',
+    messageLimiter,
     [
-        body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Product name required (1-100 chars)'),
-        body('description').optional().isLength({ max: 500 }).trim().withMessage('Description too long (max 500 chars)'),
-        body('price').isFloat({ min: 0 }).withMessage('Valid price required'),
-        body('category').isIn(['revamping', 'styling', 'wig-installation', 'retouching', 'ventilation']).withMessage('Invalid category')
+        body('name').isLength({ min: 1, max: 100 }).trim().withMessage('Name required (1-100 chars)'),
+        body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+        body('phone').optional({ values: 'falsy' }).isLength({ min: 7, max: 20 }).trim().withMessage('Valid phone number required'),
+        body('service_id').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('Valid service required'),
+        body('message').isLength({ min: 1, max: 2000 }).trim().withMessage('Message required (1-2000 chars)')
     ],
     (req, res) => {
         try {
+            if (req.body.website) {
+                return res.json({ success: true });
+            }
+
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 return res.status(400).json({ error: 'Invalid input', details: errors.array() });
             }
 
-            const { name, description, price, image_url, category } = req.body;
-            
-            const product = db.insert('products', { 
-                name: sanitizeInput(name), 
-                description: sanitizeInput(description || ''), 
-                price: parseFloat(price), 
-                image_url: sanitizeInput(image_url || ''), 
-                category: sanitizeInput(category), 
-                in_stock: true 
-            });
-            
-            res.json({ success: true, product });
+            const { name, email, phone, service_id, message } = req.body;
+            const result = messages.create({
+                name: sanitizeInput(name),
+                email,
+                phone: sanitizeInput(phone || ''),
+                service_id,
+                message: sanitizeInput(message)
+            }, { ip: req.ip });
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message });
+            }
+
+            res.json({ success: true });
         } catch (error) {
-            console.error('Error adding product:', error);
-            res.status(500).json({ error: 'Failed to add product' });
+            console.error('Error saving message:', error);
+            res.status(500).json({ error: 'Failed to send message: ' + error.message });
         }
     }
 );
 
-// Update product
-app.put('/api/products/:id', (req, res) => {
+// Inbox (newest first): ?status=unread|read|archived&service_id=&email=&from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/api/messages', requirePermission('messages:read'), (req, res) => {
+    sendList(req, res, 'messages', {
+        filters: { status: 'string', service_id: 'number', email: 'string' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['created_at', 'status'],
+        defaultSort: '-created_at'
+    });
+});
+
+// Get one message
+app.get('/api/messages/:id', requirePermission('messages:read'), (req, res) => {
+    const message = db.findById('messages', parseInt(req.params.id));
+    if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
+    res.json(message);
+});
+
+// Mark a message unread, read or archived
+app.put('/api/messages/:id', requirePermission('messages:update'), (req, res) => {
     try {
-        const { id } = req.params;
-        const { name, description, price, image_url, category } = req.body;
-        
-        console.log('Updating product:', id, req.body);
-        
-        if (!name || !price) {
-            return res.status(400).json({ error: 'Name and price are required' });
+        const { status, version } = req.body;
+        if (!status) {
+            return res.status(400).json({ error: 'Status is required' });
         }
-        
-        const product = db.update('products', parseInt(id), { 
-            name, 
-            description: description || '', 
-            price: parseFloat(price), 
-            image_url: image_url || '', 
-            category: category || 'wig' 
-        });
-        
-        if (!product) {
-            console.log('Product not found:', id);
-            return res.status(404).json({ error: 'Product not found' });
+
+        const result = messages.setStatus(parseInt(req.params.id), status, { expectedVersion: version });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
         }
-        
-        console.log('Product updated successfully:', product);
-        res.json({ success: true, product });
+
+        res.json({ success: true, message: result.message });
     } catch (error) {
-        console.error('Error updating product:', error);
-        res.status(500).json({ error: 'Failed to update product: ' + error.message });
+        console.error('Error updating message:', error);
+        res.status(500).json({ error: 'Failed to update message: ' + error.message });
     }
 });
 
-// Delete product
-app.delete('/api/products/:id', (req, res) => {
-    try {
-        const { id } = req.params;
-        const success = db.delete('products', parseInt(id));
-        
-        if (!success) {
-            return res.status(404).json({ error: 'Product not found' });
+// Reply to a message by email. The reply is kept on the message either way; if sending
+// fails it answers 502 and the notification can be retried from the outbox
+app.post('/api/messages/:id/reply',
+    requirePermission('messages:reply'),
+    [
+        body('subject').optional({ values: 'falsy' }).isLength({ max: 200 }).trim().withMessage('Subject too long (max 200 chars)'),
+        body('text').isLength({ min: 1, max: 5000 }).trim().withMessage('Reply text required (1-5000 chars)')
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+            }
+
+            const result = await messages.reply(parseInt(req.params.id), {
+                subject: sanitizeInput(req.body.subject || ''),
+                text: sanitizeInput(req.body.text),
+                admin: req.admin
+            });
+            if (!result.ok) {
+                return res.status(result.status).json({ error: result.message });
+            }
+
+            const sent = result.notification.status === 'sent';
+            res.status(sent ? 200 : 502).json({
+                success: sent,
+                ...(sent ? {} : { error: 'The reply could not be sent: ' + result.notification.error }),
+                message: result.message,
+                notification: result.notification
+            });
+        } catch (error) {
+            console.error('Error replying to message:', error);
+            res.status(500).json({ error: 'Failed to reply to message: ' + error.message });
         }
-        
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Error deleting product:', error);
-        res.status(500).json({ error: 'Failed to delete product: ' + error.message });
     }
+);
+
+// List services in display order (public: active ones; staff may filter ?active=):
+// ?category=&pricing=&price_min=&price_max=&sort=
+app.get('/api/services', (req, res) => {
+    sendCatalogue(req, res, 'services', {
+        filters: { category: 'string', pricing: 'string' },
+        ranges: { price: 'number' },
+        sortable: ['display_order', 'name', 'category', 'price', 'created_at'],
+        defaultSort: 'display_order,name',
+        defaultLimit: 200
+    });
 });
 
-// Get all bookings
-app.get('/api/bookings', (req, res) => {
-    const bookings = db.read('bookings');
-    res.json(bookings);
+// Categories of the active services (public)
+app.get('/api/services/categories', (req, res) => {
+    try {
+        res.json({ items: services.categories() });
+    } catch (error) {
+        console.error('Error getting service categories:', error);
+        res.status(500).json({ error: 'Failed to get service categories: ' + error.message });
+    }
 });
 
-// Add new booking
-app.post('/api/bookings', (req, res) => {
-    const { customer_name, customer_phone, customer_email, service_name, booking_date, booking_time, notes } = req.body;
-    const booking = db.insert('bookings', { 
-        customer_name, customer_phone, customer_email, service_name, 
-        booking_date, booking_time, notes, status: 'pending' 
+// Validation shared by service create/update (where name and category may be left out to
+// keep them); cross-field price rules are in services.build()
+const serviceValidation = (partial) => [
+    (partial ? body('name').optional() : body('name')).isLength({ min: 1, max: 100 }).trim().withMessage('Service name required (1-100 chars)'),
+    body('description').optional().isLength({ max: 500 }).trim().withMessage('Description too long (max 500 chars)'),
+    (partial ? body('category').optional() : body('category')).isLength({ min: 1, max: 60 }).trim().withMessage('Category required (1-60 chars)'),
+    body('pricing').optional().isIn(services.PRICING).withMessage(`Pricing must be one of: ${services.PRICING.join(', ')}`),
+    body('price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Price must be 0 or more'),
+    body('price_max').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('price_max must be 0 or more'),
+    body('duration_minutes').optional({ values: 'null' }).isInt({ min: 5, max: 720 }).withMessage('Duration must be 5-720 minutes'),
+    body('active').optional().isBoolean().withMessage('active must be true or false'),
+    body('display_order').optional().isInt({ min: 0 }).withMessage('display_order must be a whole number')
+];
+
+// The request with its free text HTML-escaped
+function serviceInput(body) {
+    const input = { ...body };
+    ['name', 'description', 'category'].forEach(field => {
+        if (input[field] !== undefined) input[field] = sanitizeInput(input[field]);
     });
-    res.json({ success: true, booking });
-});
+    return input;
+}
 
-// Update booking status
-app.put('/api/bookings/:id', (req, res) => {
+// Add new service
+app.post('/api/services', requirePermission('services:write'), [
+    body('slug').optional().matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug must be lowercase words joined by dashes'),
+    ...serviceValidation(false)
+], (req, res) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
         
-        const booking = db.update('bookings', parseInt(id), { status });
+        const result = services.build(serviceInput(req.body));
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
         
-        if (!booking) {
-            return res.status(404).json({ error: 'Booking not found' });
+        const slug = req.body.slug || services.slugify(req.body.name);
+        if (!slug) {
+            return res.status(400).json({ error: 'Service name needs letters or digits to make a slug' });
+        }
+        if (services.isSlugTaken(slug)) {
+            return res.status(409).json({ error: `Service "${slug}" already exists` });
         }
         
-        res.json({ success: true, booking });
+        const service = db.insert('services', { slug, ...result.fields });
+        res.json({ success: true, service });
     } catch (error) {
-        console.error('Error updating booking:', error);
-        res.status(500).json({ error: 'Failed to update booking: ' + error.message });
+        console.error('Error adding service:', error);
+        res.status(500).json({ error: 'Failed to add service: ' + error.message });
     }
 });
 
-// Delete all bookings
-app.delete('/api/bookings/all', (req, res) => {
+// Update service; the slug stays fixed because SERVICE_DURATIONS and older bookings use it
+app.put('/api/services/:id', requirePermission('services:write'), serviceValidation(true), (req, res) => {
     try {
-        db.write('bookings', []);
-        res.json({ success: true });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+        
+        const existing = db.findById('services', parseInt(req.params.id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+        
+        const result = services.build(serviceInput(req.body), existing);
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        
+        const service = db.update('services', existing.id, result.fields, { expectedVersion: req.body.version });
+        res.json({ success: true, service });
     } catch (error) {
-        console.error('Error deleting all bookings:', error);
-        res.status(500).json({ error: 'Failed to delete all bookings: ' + error.message });
+        if (error.code === 'STALE_WRITE') {
+            return res.status(409).json({ error: 'Service was changed by someone else, please reload', service: error.current });
+        }
+        console.error('Error updating service:', error);
+        res.status(500).json({ error: 'Failed to update service: ' + error.message });
     }
 });
 
-// Get all services
-app.get('/api/services', (req, res) => {
-    const services = db.read('services');
-    res.json(services);
-});
-
-// Add new service
-app.post('/api/services', (req, res) => {
-    const { name, description, price, duration } = req.body;
-    const service = db.insert('services', { name, description, price, duration });
-    res.json({ success: true, service });
-});
-
-// Delete service
-app.delete('/api/services/:id', (req, res) => {
+// Delete a service no booking references (deactivate it otherwise)
+app.delete('/api/services/:id', requirePermission('services:write'), (req, res) => {
     try {
-        const { id } = req.params;
-        const success = db.delete('services', parseInt(id));
-        
-        if (!success) {
+        const service = db.findById('services', parseInt(req.params.id));
+        if (!service) {
             return res.status(404).json({ error: 'Service not found' });
         }
         
+        const inUse = db.read('bookings').filter(booking => booking.service_id === service.id).length;
+        if (inUse) {
+            return res.status(409).json({ error: `${inUse} booking(s) reference this service; deactivate it instead` });
+        }
+        
+        db.delete('services', service.id);
         res.json({ success: true });
     } catch (error) {
         console.error('Error deleting service:', error);
@@ -346,26 +1890,41 @@ app.delete('/api/services/:id', (req, res) => {
     }
 });
 
-// Get all gallery images
+// List gallery images (public: published ones; staff may filter ?published=):
+// ?category=&from=&to=&sort=&limit=&offset=|cursor=
 app.get('/api/gallery', (req, res) => {
-    const gallery = db.read('gallery');
-    res.json(gallery);
+    sendCatalogue(req, res, 'gallery', {
+        filters: { category: 'string' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['title', 'category', 'created_at'],
+        defaultSort: '-created_at'
+    });
 });
 
+// Shared by gallery upload and edit (and the gallery import, see importers.js)
+const galleryValidation = [
+    body('title').optional().isLength({ min: 1, max: 100 }).trim().withMessage('Title must be 1-100 chars'),
+    body('category').optional().isLength({ min: 1, max: 60 }).trim().withMessage('Category must be 1-60 chars'),
+    body('published').optional().isBoolean().withMessage('published must be true or false')
+];
+
 // Add gallery image
-app.post('/api/gallery', upload.single('image'), (req, res) => {
+app.post('/api/gallery', requirePermission('gallery:write'), upload.single('image'), processImage, galleryValidation, (req, res) => {
     try {
-        const { title, category } = req.body;
-        let image_url = '';
-        
-        if (req.file) {
-            image_url = `/uploads/${req.file.filename}`;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
         }
         
+        const { title, category, published } = req.body;
+        
         const image = db.insert('gallery', { 
-            title: title || 'Untitled Image', 
-            image_url, 
-            category: category || 'styling' 
+            title: title ? sanitizeInput(title) : 'Untitled Image', 
+            image_url: req.image ? req.image.url : '', 
+            image_variants: req.image ? req.image.variants : null,
+            category: category ? sanitizeInput(category) : 'styling',
+            published: catalogue.flag(published, true)
         });
         
         res.json({ success: true, image });
@@ -375,8 +1934,38 @@ app.post('/api/gallery', upload.single('image'), (req, res) => {
     }
 });
 
+// Update a gallery image's title, category or published flag
+app.put('/api/gallery/:id', requirePermission('gallery:write'), galleryValidation, (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+        
+        const existing = db.findById('gallery', parseInt(req.params.id));
+        if (!existing) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+        
+        const { title, category, published } = req.body;
+        const image = db.update('gallery', existing.id, {
+            title: title !== undefined ? sanitizeInput(title) : existing.title,
+            category: category !== undefined ? sanitizeInput(category) : existing.category,
+            published: catalogue.flag(published, existing.published !== false)
+        }, { expectedVersion: req.body.version });
+        
+        res.json({ success: true, image });
+    } catch (error) {
+        if (error.code === 'STALE_WRITE') {
+            return res.status(409).json({ error: 'Image was changed by someone else, please reload', image: error.current });
+        }
+        console.error('Error updating gallery image:', error);
+        res.status(500).json({ error: 'Failed to update image: ' + error.message });
+    }
+});
+
 // Delete gallery image
-app.delete('/api/gallery/:id', (req, res) => {
+app.delete('/api/gallery/:id', requirePermission('gallery:write'), (req, res) => {
     try {
         const { id } = req.params;
         const success = db.delete('gallery', parseInt(id));
@@ -392,18 +1981,177 @@ app.delete('/api/gallery/:id', (req, res) => {
     }
 });
 
-// Get all videos
+// Catalogue import (see importers.js), checked with the same validation as the routes above
+const importers = createImporters({
+    requirePermission,
+    sanitizeInput,
+    sanitizeVariant,
+    productValidation,
+    productVariants,
+    serviceValidation,
+    serviceInput,
+    galleryValidation
+});
+
+// Download products, services or gallery metadata in a form import accepts: ?format=csv|json
+app.get('/api/export/:table', importers.requireImporter, [
+    query('format').optional().isIn(bulk.FORMATS).withMessage(`format must be one of: ${bulk.FORMATS.join(', ')}`)
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+
+        bulk.send(res, req.params.table, req.query.format || 'csv');
+    } catch (error) {
+        console.error('Error exporting:', error);
+        res.status(500).json({ error: 'Failed to export: ' + error.message });
+    }
+});
+
+// Import a .csv or .json file (multipart field "file") into products, services or gallery.
+// mode=create|upsert, dry_run=true reports what would happen without changing anything.
+// Any invalid record stops the whole import; every record's problems are listed. If writing
+// fails part-way, the records before it stay imported and each result says whether it was.
+app.post('/api/import/:table', importers.requireImporter, importers.readFile, [
+    body('mode').optional().isIn(bulk.MODES).withMessage(`mode must be one of: ${bulk.MODES.join(', ')}`),
+    body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ error: 'Invalid input', details: errors.array() });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: 'Choose a .csv or .json file to import' });
+        }
+
+        const { table } = req.params;
+        const format = bulk.formatOf(req.file.originalname);
+        const parsed = bulk.parse(table, format, req.file.buffer.toString('utf8'));
+        if (!parsed.ok) {
+            return res.status(parsed.status).json({ error: parsed.message });
+        }
+
+        const mode = req.body.mode || 'create';
+        const dryRun = catalogue.flag(req.body.dry_run, false);
+        const result = await importers.run(table, parsed.records, { mode, dryRun, admin: req.admin });
+        const response = { table, format, mode, dry_run: dryRun, summary: result.summary, results: result.results };
+
+        if (result.summary.stopped_at) {
+            return res.status(500).json({
+                error: `Import stopped at row ${result.summary.stopped_at.join(', ')}: ${result.summary.imported} of ${result.summary.records} records were imported, see results`,
+                ...response
+            });
+        }
+        if (!result.ok && !dryRun) {
+            return res.status(400).json({ error: 'The import has errors, nothing was imported, see results', ...response });
+        }
+        res.json({ success: result.ok, ...response });
+    } catch (error) {
+        console.error('Error importing:', error);
+        res.status(500).json({ error: 'Failed to import: ' + error.message });
+    }
+});
+
+// Backups of all tables and the uploads they use (see backup.js), newest first
+app.get('/api/backups', requirePermission('backups:manage'), async (req, res) => {
+    try {
+        res.json({
+            backups: await backup.list(),
+            schedule: {
+                interval_hours: backup.config.intervalHours,
+                retention: backup.config.retention
+            }
+        });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups: ' + error.message });
+    }
+});
+
+// Takes a backup now
+app.post('/api/backups', requirePermission('backups:manage'), async (req, res) => {
+    try {
+        const result = await backup.create({ kind: 'manual', admin: req.admin });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message });
+        }
+        res.status(201).json({ success: true, backup: result.backup });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup: ' + error.message });
+    }
+});
+
+// 404s unknown backup ids; sets req.backupFile
+function findBackup(req, res, next) {
+    req.backupFile = backup.find(req.params.id);
+    if (!req.backupFile) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    next();
+}
+
+// Downloads a backup archive (.tar.gz)
+app.get('/api/backups/:id/download', requirePermission('backups:manage'), findBackup, (req, res) => {
+    res.download(req.backupFile, path.basename(req.backupFile));
+});
+
+// Reads a whole backup and checks every file against the manifest's checksums
+app.post('/api/backups/:id/verify', requirePermission('backups:manage'), findBackup, async (req, res) => {
+    try {
+        const result = await backup.verify(req.backupFile);
+        res.json({ id: req.params.id, ok: result.ok, problems: result.problems });
+    } catch (error) {
+        console.error('Error verifying backup:', error);
+        res.status(500).json({ error: 'Failed to verify backup: ' + error.message });
+    }
+});
+
+// Replaces the current data and uploads with a backup's, once it has passed its checks.
+// The data as it was just before is kept as a pre-restore backup.
+app.post('/api/backups/:id/restore', requirePermission('backups:manage'), findBackup, async (req, res) => {
+    try {
+        const result = await backup.restore(req.backupFile, { admin: req.admin });
+        if (!result.ok) {
+            return res.status(result.status).json({ error: result.message, problems: result.problems });
+        }
+        res.json({ success: true, restored: result.restored, safety_backup: result.safety_backup });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup: ' + error.message });
+    }
+});
+
+app.delete('/api/backups/:id', requirePermission('backups:manage'), findBackup, async (req, res) => {
+    try {
+        await backup.remove(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting backup:', error);
+        res.status(500).json({ error: 'Failed to delete backup: ' + error.message });
+    }
+});
+
+// List videos (public: published ones; staff may filter ?published=):
+// ?category=&from=&to=&sort=&limit=&offset=|cursor=
 app.get('/api/videos', (req, res) => {
-    const videos = db.read('videos');
-    res.json(videos);
+    sendCatalogue(req, res, 'videos', {
+        filters: { category: 'string' },
+        dateField: 'created_at',
+        timestamp: true,
+        sortable: ['title', 'category', 'created_at'],
+        defaultSort: '-created_at'
+    });
 });
 
 // Add video
-app.post('/api/videos', upload.single('video'), (req, res) => {
+app.post('/api/videos', requirePermission('videos:write'), videoUpload, processVideo, (req, res) => {
     try {
-        const { title, description } = req.body;
+        const { title, description, published } = req.body;
         let video_url = '';
-        let thumbnail_url = '';
         
         if (req.file) {
             video_url = `/uploads/${req.file.filename}`;
@@ -412,8 +2160,10 @@ app.post('/api/videos', upload.single('video'), (req, res) => {
         const video = db.insert('videos', { 
             title: title || 'Untitled Video', 
             video_url, 
-            thumbnail_url, 
-            description: description || '' 
+            thumbnail_url: req.video ? req.video.thumbnail_url : '', 
+            description: description || '',
+            published: catalogue.flag(published, true),
+            ...(req.video || {})
         });
         
         res.json({ success: true, video });
@@ -423,11 +2173,61 @@ app.post('/api/videos', upload.single('video'), (req, res) => {
     }
 });
 
+// Stream a video with HTTP Range support so players can seek without downloading it all
+app.get('/api/videos/:id/stream', async (req, res) => {
+    try {
+        const video = db.findById('videos', parseInt(req.params.id));
+        if (!video || !video.video_url || (!catalogue.isVisible('videos', video) && !currentAdmin(req))) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+        
+        const file = path.join(__dirname, 'uploads', path.basename(video.video_url));
+        const stat = await fs.stat(file).catch(() => null);
+        if (!stat || !stat.isFile()) {
+            return res.status(404).json({ error: 'Video file not found' });
+        }
+        
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Content-Type': video.mime_type || 'video/mp4',
+            'Cache-Control': 'public, max-age=86400',
+            'Last-Modified': stat.mtime.toUTCString()
+        });
+        
+        const range = videoProcessing.parseRange(req.headers.range, stat.size);
+        if (range && range.unsatisfiable) {
+            res.set('Content-Range', `bytes */${stat.size}`);
+            return res.status(416).end();
+        }
+        
+        const start = range ? range.start : 0;
+        const end = range ? range.end : stat.size - 1;
+        if (range) {
+            res.status(206).set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+        }
+        res.set('Content-Length', String(end - start + 1));
+        
+        if (req.method === 'HEAD' || stat.size === 0) {
+            return res.end();
+        }
+        
+        const stream = fs.createReadStream(file, { start, end });
+        stream.on('error', (error) => {
+            console.error('Error streaming video:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error streaming video:', error);
+        res.status(500).json({ error: 'Failed to stream video: ' + error.message });
+    }
+});
+
 // Update video
-app.put('/api/videos/:id', upload.single('video'), (req, res) => {
+app.put('/api/videos/:id', requirePermission('videos:write'), videoUpload, processVideo, (req, res) => {
     try {
         const { id } = req.params;
-        const { title, description } = req.body;
+        const { title, description, published } = req.body;
         
         const existingVideo = db.findById('videos', parseInt(id));
         if (!existingVideo) {
@@ -439,34 +2239,42 @@ app.put('/api/videos/:id', upload.single('video'), (req, res) => {
             video_url = `/uploads/${req.file.filename}`;
         }
         
+        const metadata = { ...(req.video || {}) };
+        // A replacement video sent without a poster keeps the current one
+        if (!metadata.thumbnail_url) {
+            delete metadata.thumbnail_url;
+            delete metadata.thumbnail_variants;
+        }
+        const poster = req.poster ? { thumbnail_url: req.poster.url, thumbnail_variants: req.poster.variants } : {};
         const video = db.update('videos', parseInt(id), {
             title: title || existingVideo.title,
             description: description || existingVideo.description,
-            video_url
-        });
+            published: catalogue.flag(published, existingVideo.published !== false),
+            video_url,
+            ...metadata,
+            ...poster
+        }, { expectedVersion: req.body.version });
         
         res.json({ success: true, video });
     } catch (error) {
+        if (error.code === 'STALE_WRITE') {
+            return res.status(409).json({ error: 'Video was changed by someone else, please reload', video: error.current });
+        }
         console.error('Error updating video:', error);
         res.status(500).json({ error: 'Failed to update video: ' + error.message });
     }
 });
 
 // Delete video
-app.delete('/api/videos/:id', (req, res) => {
+app.delete('/api/videos/:id', requirePermission('videos:write'), (req, res) => {
     try {
         const { id } = req.params;
-        console.log('Deleting video with ID:', id);
-        
         const success = db.delete('videos', parseInt(id));
-        console.log('Delete result:', success);
         
         if (!success) {
-            console.log('Video not found for ID:', id);
             return res.status(404).json({ error: 'Video not found' });
         }
         
-        console.log('Video deleted successfully');
         res.json({ success: true });
     } catch (error) {
         console.error('Error deleting video:', error);
@@ -475,8 +2283,13 @@ app.delete('/api/videos/:id', (req, res) => {
 });
 
 // Profile endpoints
+// Staff edit their own profile (userId = their admin id); profiles:manage edits anyone's
+function canEditProfile(admin, userId) {
+    return String(userId) === String(admin.id) || roles.can(roles.roleOf(admin), 'profiles:manage');
+}
+
 // Get all profiles
-app.get('/api/profiles', (req, res) => {
+app.get('/api/profiles', requirePermission('profiles:read'), (req, res) => {
     try {
         const profiles = db.read('profiles');
         res.json(profiles);
@@ -487,7 +2300,7 @@ app.get('/api/profiles', (req, res) => {
 });
 
 // Get profile
-app.get('/api/profile/:id', (req, res) => {
+app.get('/api/profile/:id', requirePermission('profiles:read'), (req, res) => {
     try {
         const { id } = req.params;
         const profile = db.findById('profiles', parseInt(id));
@@ -504,14 +2317,18 @@ app.get('/api/profile/:id', (req, res) => {
 });
 
 // Create/Update profile
-app.post('/api/profile', upload.single('photo'), (req, res) => {
+app.post('/api/profile', requirePermission('profiles:write'), upload.single('photo'), (req, res, next) => {
+    // Checked before the photo is processed so a refused upload leaves nothing behind
+    if (!canEditProfile(req.admin, req.body.userId)) {
+        if (req.file) fs.removeSync(req.file.path);
+        return res.status(403).json({ error: 'You can only edit your own profile', permission: 'profiles:manage' });
+    }
+    next();
+}, processImage, (req, res) => {
     try {
         const { name, email, phone, bio, userId, deletePhoto } = req.body;
-        let photo_url = '';
-        
-        if (req.file) {
-            photo_url = `/uploads/${req.file.filename}`;
-        }
+        const photo_url = req.image ? req.image.url : '';
+        const photo_variants = req.image ? req.image.variants : null;
         
         // Check if profile exists
         const profiles = db.read('profiles');
@@ -524,7 +2341,8 @@ app.post('/api/profile', upload.single('photo'), (req, res) => {
                 email: email || existingProfile.email,
                 phone: phone || existingProfile.phone,
                 bio: bio || existingProfile.bio,
-                photo_url: deletePhoto === 'true' ? '' : (photo_url || existingProfile.photo_url)
+                photo_url: deletePhoto === 'true' ? '' : (photo_url || existingProfile.photo_url),
+                photo_variants: deletePhoto === 'true' ? null : (photo_variants || existingProfile.photo_variants || null)
             });
             res.json({ success: true, profile: updatedProfile });
         } else {
@@ -535,7 +2353,8 @@ app.post('/api/profile', upload.single('photo'), (req, res) => {
                 email: email || 'admin@example.com',
                 phone: phone || '',
                 bio: bio || '',
-                photo_url: deletePhoto === 'true' ? '' : photo_url
+                photo_url: deletePhoto === 'true' ? '' : photo_url,
+                photo_variants: deletePhoto === 'true' ? null : photo_variants
             });
             res.json({ success: true, profile });
         }
@@ -546,7 +2365,7 @@ app.post('/api/profile', upload.single('photo'), (req, res) => {
 });
 
 // Delete profile photo
-app.delete('/api/profile/:id/photo', (req, res) => {
+app.delete('/api/profile/:id/photo', requirePermission('profiles:write'), (req, res) => {
     try {
         const { id } = req.params;
         const profile = db.findById('profiles', parseInt(id));
@@ -555,8 +2374,13 @@ app.delete('/api/profile/:id/photo', (req, res) => {
             return res.status(404).json({ error: 'Profile not found' });
         }
         
+        if (!canEditProfile(req.admin, profile.userId)) {
+            return res.status(403).json({ error: 'You can only edit your own profile', permission: 'profiles:manage' });
+        }
+        
         const updatedProfile = db.update('profiles', parseInt(id), {
-            photo_url: ''
+            photo_url: '',
+            photo_variants: null
         });
         
         res.json({ success: true, profile: updatedProfile });
@@ -601,4 +2425,18 @@ app.listen(PORT, () => {
     console.log(`Admin login: http://localhost:${PORT}/admin/login.html`);
     console.log(`Admin dashboard: http://localhost:${PORT}/admin/dashboard.html`);
     console.log('Database initialized successfully');
+    
+    // Gives services added before the catalogue fields existed a slug, pricing and label,
+    // and keeps content added before publishing existed on the site
+    services.backfill();
+    catalogue.backfill();
+    
+    // Links bookings and orders made before customer records existed
+    customers.backfill();
+    
+    // Registers files uploaded before the media library existed
+    media.sync().catch(error => console.error('Error syncing media library:', error));
+    
+    // Scheduled backups every BACKUP_INTERVAL_HOURS, rotated to the newest BACKUP_RETENTION
+    backup.schedule();
 });
@@ -0,0 +1,128 @@
+const db = require('./database');
+const availability = require('./availability');
+const orders = require('./orders');
+
+// The services catalogue behind services.html and the booking form. A service is either
+// priced 'fixed' (price) or 'custom' (quoted after a consultation, optionally with a guide
+// range of price to price_max). Bookings keep a snapshot of the price they were made at,
+// so later catalogue changes don't rewrite what the customer was shown.
+const PRICING = ['fixed', 'custom'];
+
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+function toPrice(value) {
+    return value === undefined || value === null || value === '' ? null : parseFloat(value);
+}
+
+// "₦8,000", "₦2,000 – ₦6,000", "From ₦2,000" or "Price on consultation"
+function priceLabel({ pricing, price, price_max }) {
+    if (pricing !== 'custom') return orders.formatMoney(price);
+    if (price !== null && price_max !== null) return `${orders.formatMoney(price)} – ${orders.formatMoney(price_max)}`;
+    if (price !== null) return `From ${orders.formatMoney(price)}`;
+    return 'Price on consultation';
+}
+
+// New services go to the end of the list unless given a display_order
+function nextDisplayOrder() {
+    return db.read('services').reduce((highest, service) => Math.max(highest, service.display_order || 0), 0) + 1;
+}
+
+const services = {
+    PRICING,
+    slugify,
+    priceLabel,
+
+    isSlugTaken: (slug, exceptId = null) => db.read('services').some(service => service.slug === slug && service.id !== exceptId),
+
+    // Service fields to store from a validated request; fields left out keep their current value.
+    // Returns { ok: true, fields } or { ok: false, status, message }
+    build: (input, existing = {}) => {
+        const pick = (field, fallback) => input[field] !== undefined ? input[field] : (existing[field] !== undefined ? existing[field] : fallback);
+
+        const pricing = pick('pricing', 'fixed');
+        const price = toPrice(pick('price', null));
+        let price_max = toPrice(pick('price_max', null));
+
+        if (pricing === 'fixed') {
+            if (price === null) {
+                return { ok: false, status: 400, message: 'A fixed-price service needs a price' };
+            }
+            price_max = null;
+        } else if (price_max !== null && (price === null || price_max < price)) {
+            return { ok: false, status: 400, message: 'price_max needs a price and must not be below it' };
+        }
+
+        const duration = pick('duration_minutes', null);
+        const active = pick('active', true);
+        return {
+            ok: true,
+            fields: {
+                name: pick('name', ''),
+                description: pick('description', ''),
+                category: pick('category', ''),
+                pricing,
+                price,
+                price_max,
+                price_label: priceLabel({ pricing, price, price_max }),
+                duration_minutes: duration === null ? null : parseInt(duration),
+                active: active === true || active === 'true',
+                display_order: parseInt(pick('display_order', existing.id ? 0 : nextDisplayOrder())) || 0
+            }
+        };
+    },
+
+    // An active service by id, or null
+    findActive: (id) => {
+        const service = db.findById('services', parseInt(id));
+        return service && service.active !== false ? service : null;
+    },
+
+    // What a booking stores about the service it was made for
+    snapshot: (service) => ({
+        service_id: service.id,
+        service_name: service.name,
+        price_snapshot: {
+            pricing: service.pricing,
+            price: service.price,
+            price_max: service.price_max,
+            label: service.price_label,
+            currency: orders.config.currency
+        }
+    }),
+
+    // Active category names, in the order their first service is listed
+    categories: () => db.read('services')
+        .filter(service => service.active !== false)
+        .sort((a, b) => a.display_order - b.display_order || a.name.localeCompare(b.name))
+        .map(service => service.category)
+        .filter((category, index, all) => category && all.indexOf(category) === index),
+
+    // Fills in the catalogue fields on services added before they existed
+    backfill: () => {
+        db.read('services').forEach(service => {
+            if (service.slug && service.pricing && service.price_label) return;
+            const price = toPrice(service.price);
+            const pricing = price === null || isNaN(price) ? 'custom' : 'fixed';
+            const fields = {
+                slug: service.slug || slugify(service.name) || `service-${service.id}`,
+                category: service.category || '',
+                pricing,
+                price: pricing === 'fixed' ? price : null,
+                price_max: null,
+                duration_minutes: service.duration_minutes || availability.parseDuration(service.duration) || null,
+                active: service.active !== false,
+                display_order: service.display_order || 0
+            };
+            db.update('services', service.id, { ...fields, price_label: priceLabel(fields) });
+        });
+    }
+};
+
+module.exports = services;
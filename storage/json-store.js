@@ -0,0 +1,205 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const versioning = require('./versioning');
+const query = require('./query');
+
+// The store's API is synchronous, so waiting for a lock blocks the event loop. Within one
+// process writes never overlap (see heldLocks); only another process writing data/ at the
+// same moment (scripts/, a second server) makes us wait, and then for no more than
+// LOCK_TIMEOUT_MS in total. DB_LOCK_TIMEOUT_MS may lower that but not raise it past
+// MAX_LOCK_WAIT_MS; a write that can't get the lock in time fails instead.
+const MAX_LOCK_WAIT_MS = 1000;
+const LOCK_TIMEOUT_MS = Math.min(parseInt(process.env.DB_LOCK_TIMEOUT_MS) || MAX_LOCK_WAIT_MS, MAX_LOCK_WAIT_MS);
+const LOCK_RETRY_MS = 10;
+const STALE_LOCK_MS = 30 * 1000;
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleep(ms) {
+    Atomics.wait(sleeper, 0, 0, ms);
+}
+
+// Stores each table as a JSON array in <dir>/<table>.json
+function createJsonStore({ dir, tables }) {
+    const dbFiles = tables.reduce((files, table) => {
+        files[table] = path.join(dir, `${table}.json`);
+        return files;
+    }, {});
+
+    // Lock depth per table held by this process, so nested calls don't wait on themselves
+    const heldLocks = {};
+    // Last id handed out per table, so ids stay unique even within one millisecond
+    const lastIds = {};
+
+    // Initialize database files
+    fs.ensureDirSync(dir);
+
+    Object.values(dbFiles).forEach(file => {
+        if (!fs.existsSync(file)) {
+            fs.writeJsonSync(file, []);
+        }
+    });
+
+    function fileFor(table) {
+        if (!dbFiles[table]) {
+            throw new Error(`Unknown table "${table}"`);
+        }
+        return dbFiles[table];
+    }
+
+    // Serializes every read-modify-write on a table, across processes too,
+    // using an exclusive <table>.json.lock file
+    function withLock(table, fn) {
+        if (heldLocks[table]) {
+            heldLocks[table]++;
+            try {
+                return fn();
+            } finally {
+                heldLocks[table]--;
+            }
+        }
+
+        const lockFile = `${fileFor(table)}.lock`;
+        const started = Date.now();
+        let fd = null;
+
+        while (fd === null) {
+            try {
+                fd = fs.openSync(lockFile, 'wx');
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+
+                try {
+                    if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+                        fs.removeSync(lockFile);
+                        continue;
+                    }
+                } catch (statError) {
+                    continue;
+                }
+
+                const remaining = LOCK_TIMEOUT_MS - (Date.now() - started);
+                if (remaining <= 0) {
+                    throw new Error(`Timed out waiting for the ${table} table lock`);
+                }
+                sleep(Math.min(LOCK_RETRY_MS, remaining));
+            }
+        }
+
+        heldLocks[table] = 1;
+        try {
+            return fn();
+        } finally {
+            heldLocks[table] = 0;
+            fs.closeSync(fd);
+            fs.removeSync(lockFile);
+        }
+    }
+
+    // Unlike read(), refuses to treat an unreadable file as empty so a write can't wipe it
+    function readForWrite(table) {
+        const file = fileFor(table);
+        if (!fs.existsSync(file)) return [];
+        const data = fs.readJsonSync(file);
+        if (!Array.isArray(data)) {
+            throw new Error(`${file} does not contain an array`);
+        }
+        return data;
+    }
+
+    // Writes to a temp file and renames it over the table, so readers never see half a file
+    function writeAtomic(table, data) {
+        const file = fileFor(table);
+        const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const fd = fs.openSync(tempFile, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(data, null, 2) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempFile, file);
+    }
+
+    function nextId(table, data) {
+        const maxExisting = data.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0);
+        const id = Math.max(Date.now(), maxExisting + 1, (lastIds[table] || 0) + 1);
+        lastIds[table] = id;
+        return id;
+    }
+
+    const store = {
+        backend: 'json',
+
+        read: (table) => {
+            try {
+                return fs.readJsonSync(fileFor(table));
+            } catch (error) {
+                return [];
+            }
+        },
+
+        write: (table, data) => {
+            withLock(table, () => writeAtomic(table, data));
+        },
+
+        insert: (table, record) => withLock(table, () => {
+            const data = readForWrite(table);
+            record.id = nextId(table, data);
+            record.created_at = new Date().toISOString();
+            record.version = 1;
+            data.push(record);
+            writeAtomic(table, data);
+            return record;
+        }),
+
+        // Every table as of one moment: all the table locks are held while reading
+        snapshot: () => {
+            const readFrom = (index) => index === tables.length
+                ? tables.reduce((data, table) => {
+                    data[table] = readForWrite(table);
+                    return data;
+                }, {})
+                : withLock(tables[index], () => readFrom(index + 1));
+            return readFrom(0);
+        },
+
+        // Filtering, sorting and pagination; see storage/query.js for the options
+        query: (table, options = {}) => {
+            fileFor(table);
+            return query.apply(store.read(table), options);
+        },
+
+        findById: (table, id) => {
+            const data = store.read(table);
+            return data.find(item => item.id == id);
+        },
+
+        // options.expectedVersion makes the update fail with a STALE_WRITE error
+        // if someone else changed the record since it was read
+        update: (table, id, updates, options = {}) => withLock(table, () => {
+            const data = readForWrite(table);
+            const index = data.findIndex(item => item.id == id);
+            if (index === -1) return null;
+
+            versioning.assertVersion(table, data[index], options.expectedVersion);
+            data[index] = versioning.applyUpdate(data[index], updates);
+            writeAtomic(table, data);
+            return data[index];
+        }),
+
+        delete: (table, id) => withLock(table, () => {
+            const data = readForWrite(table);
+            const index = data.findIndex(item => item.id == id);
+            if (index === -1) return false;
+
+            data.splice(index, 1);
+            writeAtomic(table, data);
+            return true;
+        })
+    };
+
+    return store;
+}
+
+module.exports = createJsonStore;
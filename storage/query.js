@@ -0,0 +1,121 @@
+// Shared query semantics for the storage adapters.
+//
+// options = {
+//     filters: { status: ['pending', 'confirmed'], in_stock: [true] },  // field IN values
+//     ranges: { booking_date: { gte: '2026-10-01', lte: '2026-10-31' } },
+//     sort: [{ field: 'booking_date', direction: 'desc' }],            // id ASC breaks ties
+//     limit: 20, offset: 0, cursor: '<next_cursor from a previous page>'
+// }
+//
+// Result: { items, total, limit, offset, next_cursor }
+
+const MAX_LIMIT = 500;
+
+// Orders like SQLite: null first, then numbers, then strings
+function typeRank(value) {
+    if (value === undefined || value === null) return 0;
+    if (typeof value === 'number' || typeof value === 'boolean') return 1;
+    return 2;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    if (rankA === 0) return 0;
+    const left = typeof a === 'boolean' ? Number(a) : a;
+    const right = typeof b === 'boolean' ? Number(b) : b;
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function sortKeys(options) {
+    return options.sort || [];
+}
+
+function compareRecords(a, b, sort) {
+    for (const { field, direction } of sort) {
+        const result = compareValues(a[field], b[field]);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return compareValues(a.id, b.id);
+}
+
+function encodeCursor(record, sort) {
+    const payload = { v: sort.map(({ field }) => record[field] === undefined ? null : record[field]), id: record.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Array.isArray(payload.v) || payload.v.length !== sort.length || payload.id === undefined) {
+            return null;
+        }
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+function invalidCursorError() {
+    const error = new Error('Invalid cursor');
+    error.code = 'INVALID_QUERY';
+    return error;
+}
+
+function matches(record, options) {
+    for (const [field, values] of Object.entries(options.filters || {})) {
+        if (!values.some(value => record[field] === value)) return false;
+    }
+    for (const [field, range] of Object.entries(options.ranges || {})) {
+        const value = record[field];
+        if (value === undefined || value === null) return false;
+        if (range.gte !== undefined && compareValues(value, range.gte) < 0) return false;
+        if (range.lte !== undefined && compareValues(value, range.lte) > 0) return false;
+    }
+    return true;
+}
+
+function pageResult(items, total, options, sort) {
+    const limit = options.limit;
+    const hasMore = limit !== undefined && items.length > limit;
+    const page = hasMore ? items.slice(0, limit) : items;
+    return {
+        items: page,
+        total,
+        limit: limit === undefined ? null : limit,
+        offset: options.cursor ? null : (options.offset || 0),
+        next_cursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    };
+}
+
+const query = {
+    MAX_LIMIT,
+    compareValues,
+    decodeCursor,
+    invalidCursorError,
+    pageResult,
+
+    // In-memory implementation used by the JSON store
+    apply: (records, options = {}) => {
+        const sort = sortKeys(options);
+        const filtered = records.filter(record => matches(record, options));
+        const sorted = filtered.sort((a, b) => compareRecords(a, b, sort));
+
+        let start = options.offset || 0;
+        if (options.cursor) {
+            const cursor = decodeCursor(options.cursor, sort);
+            if (!cursor) throw invalidCursorError();
+            const anchor = { id: cursor.id };
+            sort.forEach(({ field }, index) => { anchor[field] = cursor.v[index]; });
+            start = sorted.findIndex(record => compareRecords(record, anchor, sort) > 0);
+            if (start === -1) start = sorted.length;
+        }
+
+        // One extra item tells us whether there is a next page
+        const end = options.limit === undefined ? undefined : start + options.limit + 1;
+        return pageResult(sorted.slice(start, end), filtered.length, options, sort);
+    }
+};
+
+module.exports = query;
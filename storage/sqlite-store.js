@@ -0,0 +1,237 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const versioning = require('./versioning');
+const query = require('./query');
+
+// Fields looked up often enough to deserve an index, per table
+const INDEXES = {
+    admins: ['email'],
+    bookings: ['status', 'booking_date', 'customer_phone', 'service_id', 'customer_id'],
+    products: ['category'],
+    services: ['name'],
+    gallery: ['category'],
+    profiles: ['userId'],
+    notifications: ['status', 'related_id'],
+    password_resets: ['token_hash'],
+    audit_log: ['table', 'admin_id', 'record_id'],
+    stock_movements: ['product_id', 'sku'],
+    orders: ['status', 'customer_phone', 'order_number', 'customer_id'],
+    payments: ['reference', 'related_id'],
+    messages: ['status', 'email'],
+    customers: ['phone', 'email']
+};
+
+function quote(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Stores each table as rows of (id, JSON document) in one SQLite file
+function createSqliteStore({ file, tables }) {
+    fs.ensureDirSync(path.dirname(file));
+
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.pragma('synchronous = NORMAL');
+
+    tables.forEach(table => {
+        sqlite.exec(`CREATE TABLE IF NOT EXISTS ${quote(table)} (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+        (INDEXES[table] || []).forEach(field => {
+            sqlite.exec(
+                `CREATE INDEX IF NOT EXISTS ${quote(`idx_${table}_${field}`)} ` +
+                `ON ${quote(table)} (json_extract(data, '$.${field}'))`
+            );
+        });
+    });
+
+    function assertTable(table) {
+        if (!tables.includes(table)) {
+            throw new Error(`Unknown table "${table}"`);
+        }
+    }
+
+    const statements = {};
+    function prepared(table, key, sql) {
+        assertTable(table);
+        const cacheKey = `${table}:${key}`;
+        if (!statements[cacheKey]) {
+            statements[cacheKey] = sqlite.prepare(sql.replace('$table', quote(table)));
+        }
+        return statements[cacheKey];
+    }
+
+    function toId(id) {
+        const numeric = Number(id);
+        return Number.isFinite(numeric) ? numeric : null;
+    }
+
+    function parseRow(row) {
+        return row ? JSON.parse(row.data) : undefined;
+    }
+
+    // Runs fn in a write transaction that takes the database lock up front
+    function immediate(fn) {
+        return sqlite.transaction(fn).immediate();
+    }
+
+    function column(field) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(field)) {
+            const error = new Error(`Invalid field name "${field}"`);
+            error.code = 'INVALID_QUERY';
+            throw error;
+        }
+        return `json_extract(data, '$.${field}')`;
+    }
+
+    // JSON true/false come back from json_extract as 1/0
+    function sqlValue(value) {
+        return typeof value === 'boolean' ? Number(value) : value;
+    }
+
+    // Keyset condition for "rows after the cursor" in the given sort order (id ASC breaks ties)
+    function cursorCondition(sort, cursor, params) {
+        const keys = [
+            ...sort.map(({ field, direction }, index) => ({ expr: column(field), direction, value: cursor.v[index] })),
+            { expr: 'id', direction: 'asc', value: cursor.id }
+        ];
+
+        const branches = keys.map((key, index) => {
+            const parts = keys.slice(0, index).map(previous => {
+                params.push(sqlValue(previous.value));
+                return `${previous.expr} IS ?`;
+            });
+            if (key.value === null) {
+                // NULLs sort first ascending and last descending
+                parts.push(key.direction === 'desc' ? '0' : `${key.expr} IS NOT NULL`);
+            } else {
+                params.push(sqlValue(key.value));
+                parts.push(key.direction === 'desc'
+                    ? `(${key.expr} < ? OR ${key.expr} IS NULL)`
+                    : `${key.expr} > ?`);
+            }
+            return `(${parts.join(' AND ')})`;
+        });
+
+        return `(${branches.join(' OR ')})`;
+    }
+
+    const replaceAll = sqlite.transaction((table, data) => {
+        prepared(table, 'clear', 'DELETE FROM $table').run();
+        const insert = prepared(table, 'upsert', 'INSERT OR REPLACE INTO $table (id, data) VALUES (?, ?)');
+        data.forEach(record => insert.run(record.id, JSON.stringify(record)));
+    });
+
+    const store = {
+        backend: 'sqlite',
+        connection: sqlite,
+
+        read: (table) => {
+            return prepared(table, 'all', 'SELECT data FROM $table ORDER BY id').all().map(parseRow);
+        },
+
+        write: (table, data) => {
+            replaceAll(table, data);
+        },
+
+        insert: (table, record) => immediate(() => {
+            // Timestamp ids like the JSON store, bumped past the newest row so they stay unique
+            const { maxId } = prepared(table, 'max', 'SELECT MAX(id) AS maxId FROM $table').get();
+            record.id = Math.max(Date.now(), (maxId || 0) + 1);
+            record.created_at = new Date().toISOString();
+            record.version = 1;
+            prepared(table, 'insert', 'INSERT INTO $table (id, data) VALUES (?, ?)').run(record.id, JSON.stringify(record));
+            return record;
+        }),
+
+        // Every table as of one moment, read in a single transaction
+        snapshot: () => sqlite.transaction(() => tables.reduce((data, table) => {
+            data[table] = store.read(table);
+            return data;
+        }, {}))(),
+
+        findById: (table, id) => {
+            const key = toId(id);
+            if (key === null) return undefined;
+            return parseRow(prepared(table, 'byId', 'SELECT data FROM $table WHERE id = ?').get(key));
+        },
+
+        // options.expectedVersion makes the update fail with a STALE_WRITE error
+        // if someone else changed the record since it was read
+        update: (table, id, updates, options = {}) => immediate(() => {
+            const existing = store.findById(table, id);
+            if (!existing) return null;
+
+            versioning.assertVersion(table, existing, options.expectedVersion);
+            const record = versioning.applyUpdate(existing, updates);
+            prepared(table, 'update', 'UPDATE $table SET data = ? WHERE id = ?').run(JSON.stringify(record), existing.id);
+            return record;
+        }),
+
+        delete: (table, id) => {
+            const key = toId(id);
+            if (key === null) return false;
+            return prepared(table, 'delete', 'DELETE FROM $table WHERE id = ?').run(key).changes > 0;
+        },
+
+        // Filtering, sorting and pagination in SQL so the json_extract indexes are used
+        query: (table, options = {}) => {
+            assertTable(table);
+            const sort = options.sort || [];
+            const where = [];
+            const params = [];
+
+            Object.entries(options.filters || {}).forEach(([field, values]) => {
+                where.push(`${column(field)} IN (${values.map(() => '?').join(', ')})`);
+                params.push(...values.map(sqlValue));
+            });
+            Object.entries(options.ranges || {}).forEach(([field, range]) => {
+                if (range.gte !== undefined) {
+                    where.push(`${column(field)} >= ?`);
+                    params.push(sqlValue(range.gte));
+                }
+                if (range.lte !== undefined) {
+                    where.push(`${column(field)} <= ?`);
+                    params.push(sqlValue(range.lte));
+                }
+            });
+
+            const whereSql = where.length ? ` WHERE ${where.join(' AND ')}` : '';
+            const { total } = sqlite.prepare(`SELECT COUNT(*) AS total FROM ${quote(table)}${whereSql}`).get(...params);
+
+            const pageWhere = [...where];
+            const pageParams = [...params];
+            if (options.cursor) {
+                const cursor = query.decodeCursor(options.cursor, sort);
+                if (!cursor) throw query.invalidCursorError();
+                pageWhere.push(cursorCondition(sort, cursor, pageParams));
+            }
+
+            const orderSql = [
+                ...sort.map(({ field, direction }) => `${column(field)} ${direction === 'desc' ? 'DESC' : 'ASC'}`),
+                'id ASC'
+            ].join(', ');
+            let sql = `SELECT data FROM ${quote(table)}` +
+                (pageWhere.length ? ` WHERE ${pageWhere.join(' AND ')}` : '') +
+                ` ORDER BY ${orderSql}`;
+
+            // One extra row tells us whether there is a next page
+            if (options.limit !== undefined) {
+                sql += ' LIMIT ?';
+                pageParams.push(options.limit + 1);
+            }
+            if (!options.cursor && options.offset) {
+                sql += options.limit === undefined ? ' LIMIT -1 OFFSET ?' : ' OFFSET ?';
+                pageParams.push(options.offset);
+            }
+
+            const rows = sqlite.prepare(sql).all(...pageParams).map(parseRow);
+            return query.pageResult(rows, total, options, sort);
+        },
+
+        close: () => sqlite.close()
+    };
+
+    return store;
+}
+
+module.exports = createSqliteStore;
@@ -0,0 +1,2 @@
+// Every table the application stores; adapters create storage for each of these
+module.exports = ['admins', 'products', 'services', 'bookings', 'gallery', 'videos', 'profiles', 'notifications', 'password_resets', 'audit_log', 'media', 'product_categories', 'stock_movements', 'orders', 'payments', 'messages', 'customers'];
@@ -0,0 +1,31 @@
+// Optimistic versioning shared by the storage adapters
+
+// Thrown by update() when the caller's copy of a record is out of date
+function staleWriteError(table, record, expectedVersion) {
+    const error = new Error(`${table} record ${record.id} was changed by someone else (version ${record.version || 0}, expected ${expectedVersion})`);
+    error.code = 'STALE_WRITE';
+    error.current = record;
+    return error;
+}
+
+const versioning = {
+    assertVersion: (table, record, expectedVersion) => {
+        if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') return;
+        if ((record.version || 0) !== Number(expectedVersion)) {
+            throw staleWriteError(table, record, expectedVersion);
+        }
+    },
+
+    // id and version are owned by the store and can't be overwritten by updates
+    applyUpdate: (record, updates) => {
+        const { id, version, created_at, ...changes } = updates || {};
+        return {
+            ...record,
+            ...changes,
+            version: (record.version || 0) + 1,
+            updated_at: new Date().toISOString()
+        };
+    }
+};
+
+module.exports = versioning;
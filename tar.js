@@ -0,0 +1,157 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+// Gzipped tar archives (.tar.gz) of plain files, readable by any tar tool. Only what the
+// backups need is supported: regular files with names up to 100 characters. Each entry is
+// held in memory while it is written or read, which is fine for files the size of uploads.
+const BLOCK = 512;
+
+function octal(value, length) {
+    return value.toString(8).padStart(length - 1, '0') + '\0';
+}
+
+function checksum(header) {
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) {
+        // The checksum field itself counts as spaces
+        sum += i >= 148 && i < 156 ? 32 : header[i];
+    }
+    return sum;
+}
+
+// ustar header for a regular file
+function header(name, size, mtime) {
+    if (Buffer.byteLength(name) > 100) {
+        throw new Error(`File name too long for the archive: ${name}`);
+    }
+    const block = Buffer.alloc(BLOCK);
+    block.write(name, 0);
+    block.write(octal(0o644, 8), 100);
+    block.write(octal(0, 8), 108);
+    block.write(octal(0, 8), 116);
+    block.write(octal(size, 12), 124);
+    block.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+    block.write('0', 156);
+    block.write('ustar\0', 257);
+    block.write('00', 263);
+    block.write(octal(checksum(block), 7) + ' ', 148);
+    return block;
+}
+
+function text(block, start, length) {
+    return block.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+}
+
+function parseHeader(block) {
+    if (parseInt(text(block, 148, 8).trim(), 8) !== checksum(block)) {
+        throw new Error('Damaged archive: bad header checksum');
+    }
+    const prefix = text(block, 345, 155);
+    const name = text(block, 0, 100);
+    return {
+        name: prefix ? `${prefix}/${name}` : name,
+        size: parseInt(text(block, 124, 12).trim() || '0', 8),
+        type: text(block, 156, 1) || '0'
+    };
+}
+
+function padding(size) {
+    return Buffer.alloc((BLOCK - size % BLOCK) % BLOCK);
+}
+
+const tar = {
+    // Writes entries ({ name, data, mtime? }, from an array or async iterable) to a .tar.gz.
+    // The archive is built under a temporary name and renamed when complete, so a failed
+    // or interrupted write never leaves a half archive behind.
+    create: async (file, entries) => {
+        const tempFile = `${file}.tmp`;
+        const gzip = zlib.createGzip();
+        const finished = new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(tempFile);
+            output.on('finish', resolve);
+            output.on('error', reject);
+            gzip.on('error', reject);
+            gzip.pipe(output);
+        });
+        const write = (buffer) => new Promise((resolve, reject) => {
+            gzip.write(buffer, error => (error ? reject(error) : resolve()));
+        });
+
+        try {
+            for await (const entry of entries) {
+                await write(header(entry.name, entry.data.length, entry.mtime || new Date()));
+                await write(entry.data);
+                await write(padding(entry.data.length));
+            }
+            // Two empty blocks end the archive
+            await write(Buffer.alloc(BLOCK * 2));
+            gzip.end();
+            await finished;
+        } catch (error) {
+            gzip.destroy();
+            await finished.catch(() => {});
+            await fs.remove(tempFile);
+            throw error;
+        }
+        await fs.rename(tempFile, file);
+    },
+
+    // Calls onEntry(name, data) for each file in a .tar.gz, in order; returning false from
+    // onEntry stops reading. Throws if the archive is damaged or cut short.
+    read: async (file, onEntry) => {
+        const source = fs.createReadStream(file);
+        const gunzip = zlib.createGunzip();
+        source.on('error', error => gunzip.destroy(error));
+        source.pipe(gunzip);
+
+        let chunks = [];
+        let buffered = 0;
+        let entry = null;
+        let ended = false;
+
+        const take = (length) => {
+            const all = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+            chunks = [all.subarray(length)];
+            buffered -= length;
+            return all.subarray(0, length);
+        };
+
+        try {
+            for await (const chunk of gunzip) {
+                chunks.push(chunk);
+                buffered += chunk.length;
+
+                while (!ended) {
+                    if (!entry) {
+                        if (buffered < BLOCK) break;
+                        const block = take(BLOCK);
+                        if (block.every(byte => byte === 0)) {
+                            ended = true;
+                            break;
+                        }
+                        entry = parseHeader(block);
+                    }
+                    const stored = entry.size + padding(entry.size).length;
+                    if (buffered < stored) break;
+                    const data = Buffer.from(take(stored).subarray(0, entry.size));
+                    const current = entry;
+                    entry = null;
+                    // Directories and extended headers carry no file of their own
+                    if (current.type === '0' && await onEntry(current.name, data) === false) {
+                        ended = true;
+                    }
+                }
+                if (ended) break;
+            }
+        } finally {
+            source.destroy();
+            gunzip.destroy();
+        }
+
+        if (!ended) {
+            throw new Error('Damaged archive: it ends before its last file');
+        }
+    }
+};
+
+module.exports = tar;
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// The server's own timezone is far from the salon's (+01:00), so any use of it shows
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-availability-'));
+Object.assign(process.env, {
+    TZ: 'Pacific/Kiritimati',
+    DB_BACKEND: 'sqlite',
+    SQLITE_PATH: path.join(tempDir, 'test.db'),
+    BUSINESS_UTC_OFFSET: '+01:00'
+});
+const availability = require('../availability');
+
+test.after(() => fs.remove(tempDir));
+
+test('today and the time of day are the salon\'s, not the server\'s', () => {
+    // Tuesday 09:10 at the salon, already Tuesday 22:10 on the server
+    const now = new Date('2026-03-03T08:10:00Z');
+
+    const slots = availability.getAvailableSlots('braids', '2026-03-03', { now });
+    assert.strictEqual(slots.slots[0], '09:30');
+    assert.strictEqual(availability.checkSlot({ service: 'braids', date: '2026-03-03', time: '09:00', now }).reason, 'past');
+    assert.strictEqual(availability.checkSlot({ service: 'braids', date: '2026-03-03', time: '12:00', now }).ok, true);
+});
+
+test('late in the salon\'s evening is still the same day', () => {
+    // Monday 23:30 at the salon, Tuesday 00:30 in UTC
+    const now = new Date('2026-03-02T22:30:00Z');
+
+    assert.strictEqual(availability.getAvailableSlots('braids', '2026-03-03', { now }).slots[0], '09:00');
+    assert.strictEqual(availability.checkSlot({ service: 'braids', date: '2026-03-02', time: '18:00', now }).reason, 'past');
+});
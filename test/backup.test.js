@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Backups go to a temporary BACKUP_DIR and the data to a throwaway SQLite database; the one
+// upload the tests need is written to uploads/ under a unique name and removed afterwards
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-backup-'));
+Object.assign(process.env, {
+    DB_BACKEND: 'sqlite',
+    SQLITE_PATH: path.join(tempDir, 'test.db'),
+    BACKUP_DIR: path.join(tempDir, 'backups'),
+    BACKUP_RETENTION: '2'
+});
+const db = require('../database');
+const backup = require('../backup');
+const tar = require('../tar');
+
+const uploadName = `test-backup-${crypto.randomBytes(6).toString('hex')}.png`;
+const uploadFile = path.join(__dirname, '..', 'uploads', uploadName);
+const uploadContent = crypto.randomBytes(256);
+
+test.before(async () => {
+    await fs.outputFile(uploadFile, uploadContent);
+    db.insert('gallery', { title: 'Bridal', category: 'styling', image_url: `/uploads/${uploadName}`, published: true });
+});
+test.after(async () => {
+    await fs.remove(uploadFile);
+    await fs.remove(tempDir);
+});
+
+function galleryTitles() {
+    return db.read('gallery').map(image => image.title).sort();
+}
+
+test('restoring a backup brings back the data and the uploads', async () => {
+    const created = await backup.create({ kind: 'manual' });
+    assert.strictEqual(created.ok, true, created.message);
+    assert.strictEqual(created.backup.files, 1);
+
+    db.write('gallery', []);
+    db.insert('gallery', { title: 'Added later', category: 'styling', published: true });
+    await fs.remove(uploadFile);
+
+    const restored = await backup.restore(backup.find(created.backup.id));
+    assert.strictEqual(restored.ok, true, restored.message);
+    assert.deepStrictEqual(galleryTitles(), ['Bridal']);
+    assert.deepStrictEqual(await fs.readFile(uploadFile), uploadContent);
+    assert.strictEqual(restored.safety_backup.kind, 'pre-restore');
+});
+
+test('an archive with a changed file is refused and nothing is restored', async () => {
+    const created = await backup.create({ kind: 'manual' });
+    const original = backup.find(created.backup.id);
+
+    // Same manifest, but one table's content differs from its checksum
+    const entries = [];
+    await tar.read(original, (name, data) => {
+        entries.push({ name, data: name === 'data/gallery.json' ? Buffer.from('[]\n') : data });
+    });
+    const tampered = path.join(tempDir, 'tampered.tar.gz');
+    await tar.create(tampered, entries);
+
+    db.insert('gallery', { title: 'Kept', category: 'styling', published: true });
+    const before = db.read('gallery');
+    const backupsBefore = (await backup.list()).length;
+
+    const result = await backup.restore(tampered);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.status, 422);
+    assert.ok(result.problems.includes('data/gallery.json does not match its checksum'), result.problems.join('\n'));
+    assert.deepStrictEqual(db.read('gallery'), before);
+    // No pre-restore backup either, since nothing was replaced
+    assert.strictEqual((await backup.list()).length, backupsBefore);
+});
+
+test('prune keeps only the newest BACKUP_RETENTION scheduled backups', async () => {
+    const scheduled = [];
+    for (let i = 0; i < 4; i++) {
+        scheduled.push((await backup.create({ kind: 'scheduled' })).backup.id);
+        // Ids carry the time to the millisecond
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    const others = (await backup.list()).filter(item => item.kind !== 'scheduled').map(item => item.id);
+
+    const expired = await backup.prune();
+    assert.deepStrictEqual(expired.sort(), scheduled.slice(0, 2).sort());
+
+    const remaining = await backup.list();
+    assert.deepStrictEqual(remaining.filter(item => item.kind === 'scheduled').map(item => item.id).sort(), scheduled.slice(2).sort());
+    assert.deepStrictEqual(remaining.filter(item => item.kind !== 'scheduled').map(item => item.id).sort(), others.sort());
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, loginAsOwner, nextOpenDate } = require('./helpers/server');
+
+async function setUp(t, env) {
+    const server = await startServer(env);
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+    const created = await request(server, 'POST', '/api/services', {
+        headers,
+        body: { name: 'Braids', category: 'braids', price: 20000, duration_minutes: 60 }
+    });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    return { server, headers, service: created.body.service };
+}
+
+function booking(service, fields = {}) {
+    return {
+        customer_name: 'Ada',
+        customer_phone: '08167559196',
+        customer_email: 'ada@example.com',
+        service_id: service.id,
+        booking_date: nextOpenDate(),
+        booking_time: '10:00',
+        ...fields
+    };
+}
+
+test('booking text is HTML-escaped and the email is validated', async (t) => {
+    const { server, headers, service } = await setUp(t);
+
+    const invalid = await request(server, 'POST', '/api/bookings', { body: booking(service, { customer_email: 'not an email' }) });
+    assert.strictEqual(invalid.status, 400);
+
+    const created = await request(server, 'POST', '/api/bookings', {
+        body: booking(service, { customer_name: '<img src=x onerror=alert(1)>', notes: '"quoted" & <b>bold</b>' })
+    });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+
+    const list = await request(server, 'GET', '/api/bookings', { headers });
+    const stored = list.body.items.find(item => item.id === created.body.booking.id);
+    assert.strictEqual(stored.customer_name, '&lt;img src=x onerror=alert(1)&gt;');
+    assert.strictEqual(stored.notes, '&quot;quoted&quot; &amp; &lt;b&gt;bold&lt;/b&gt;');
+    assert.strictEqual(stored.customer_email, 'ada@example.com');
+});
+
+test('a customer\'s cancel reason is HTML-escaped', async (t) => {
+    const { server, headers, service } = await setUp(t);
+    const created = await request(server, 'POST', '/api/bookings', { body: booking(service) });
+
+    const cancelled = await request(server, 'POST', `/api/bookings/manage/${created.body.manage_token}/cancel`, {
+        body: { reason: '<img src=x onerror=alert(1)>' }
+    });
+    assert.strictEqual(cancelled.status, 200, JSON.stringify(cancelled.body));
+
+    const list = await request(server, 'GET', '/api/bookings', { headers });
+    const stored = list.body.items.find(item => item.id === created.body.booking.id);
+    assert.strictEqual(stored.status_history.at(-1).reason, '&lt;img src=x onerror=alert(1)&gt;');
+});
+
+test('bookings are rate limited', async (t) => {
+    const { server, service } = await setUp(t, { MAX_BOOKING_REQUESTS: '2' });
+
+    // Invalid bookings count too, so the limit can't be probed for free
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+        const response = await request(server, 'POST', '/api/bookings', { body: booking(service, { customer_email: 'not an email' }) });
+        statuses.push(response.status);
+    }
+    assert.deepStrictEqual(statuses, [400, 400, 429]);
+});
+
+test('the manage link is sent but not kept in the notification outbox', async (t) => {
+    const { server, headers, service } = await setUp(t);
+    const created = await request(server, 'POST', '/api/bookings', { body: booking(service) });
+
+    const outbox = await request(server, 'GET', '/api/notifications?event=booking.created', { headers });
+    const customerMessages = outbox.body.items.filter(item => item.audience === 'customer');
+    assert.ok(customerMessages.length > 0);
+    customerMessages.forEach(item => {
+        assert.ok(!item.body.includes(created.body.manage_token), 'the token should not be stored');
+        assert.ok(item.body.includes('[hidden]'));
+        assert.strictEqual(item.redacted, true);
+    });
+});
+
+test('a self-service cancel does not leave the manage token in the audit log', async (t) => {
+    const { server, headers, service } = await setUp(t);
+    const created = await request(server, 'POST', '/api/bookings', { body: booking(service) });
+    const token = created.body.manage_token;
+
+    const cancelled = await request(server, 'POST', `/api/bookings/manage/${token}/cancel`, { body: { reason: 'Travelling' } });
+    assert.strictEqual(cancelled.status, 200, JSON.stringify(cancelled.body));
+
+    const audit = await request(server, 'GET', '/api/audit?limit=200', { headers });
+    const entries = audit.body.items.filter(entry => entry.route === '/api/bookings/manage/:token/cancel');
+    assert.ok(entries.length > 0);
+    assert.ok(!JSON.stringify(audit.body).includes(token), 'the token should not be in the audit log');
+    assert.strictEqual(entries[0].path, '/api/bookings/manage/:token/cancel');
+});
+
+test('a slot that is already taken cannot be booked again', async (t) => {
+    const { server, service } = await setUp(t);
+
+    const first = await request(server, 'POST', '/api/bookings', { body: booking(service) });
+    assert.strictEqual(first.status, 200, JSON.stringify(first.body));
+
+    const second = await request(server, 'POST', '/api/bookings', { body: booking(service, { customer_phone: '08031234567' }) });
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual(second.body.reason, 'conflict');
+});
+
+test('bookings that partly overlap a longer service are rejected', async (t) => {
+    const { server, headers, service } = await setUp(t);
+    const long = await request(server, 'POST', '/api/services', {
+        headers,
+        body: { name: 'Wig installation', category: 'wigs', price: 10000, duration_minutes: 120 }
+    });
+    assert.strictEqual(long.status, 200, JSON.stringify(long.body));
+
+    // Wig installation takes 10:00-12:00, so a one-hour Braids at 11:00 overlaps but 12:00 doesn't
+    const installation = await request(server, 'POST', '/api/bookings', { body: booking(long.body.service) });
+    assert.strictEqual(installation.status, 200, JSON.stringify(installation.body));
+
+    const overlapping = await request(server, 'POST', '/api/bookings', { body: booking(service, { booking_time: '11:00' }) });
+    assert.strictEqual(overlapping.status, 409);
+    assert.strictEqual(overlapping.body.reason, 'conflict');
+
+    const after = await request(server, 'POST', '/api/bookings', { body: booking(service, { booking_time: '12:00' }) });
+    assert.strictEqual(after.status, 200, JSON.stringify(after.body));
+});
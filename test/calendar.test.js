@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-calendar-'));
+Object.assign(process.env, { DB_BACKEND: 'sqlite', SQLITE_PATH: path.join(tempDir, 'test.db') });
+const calendar = require('../calendar');
+
+test.after(() => fs.remove(tempDir));
+
+test('events show booking text as typed, not HTML-escaped', () => {
+    const ics = calendar.build([{
+        id: 1,
+        service_name: 'Braids &amp; Twists',
+        customer_name: 'O&#x27;Neil',
+        customer_phone: '08167559196',
+        notes: '&quot;Short&quot; please',
+        booking_date: '2026-03-03',
+        booking_time: '10:00',
+        duration_minutes: 60,
+        status: 'confirmed'
+    }]).replace(/\r\n /g, '');
+
+    assert.ok(ics.includes('SUMMARY:Braids & Twists - O\'Neil'), ics);
+    assert.ok(ics.includes('Notes: "Short" please'), ics);
+    assert.ok(!ics.includes('&#x27;') && !ics.includes('&amp;'), ics);
+});
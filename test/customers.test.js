@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-customers-'));
+Object.assign(process.env, { DB_BACKEND: 'sqlite', SQLITE_PATH: path.join(tempDir, 'test.db') });
+const customers = require('../customers');
+
+test.after(() => fs.remove(tempDir));
+
+test('a booking under another name keeps the name on file', () => {
+    const first = customers.findOrCreate({ name: 'Ada Obi', phone: '08167559196', email: 'ada@example.com' });
+    customers.findOrCreate({ name: 'Chioma', phone: '+2348167559196' });
+    const again = customers.findOrCreate({ name: 'Chioma', phone: '0816 755 9196' });
+
+    assert.strictEqual(again.id, first.id);
+    assert.strictEqual(again.name, 'Ada Obi');
+    assert.deepStrictEqual(again.other_names, ['Chioma']);
+});
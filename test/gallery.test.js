@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { root, startServer, loginAsOwner } = require('./helpers/server');
+
+async function upload(server, headers, fields, image) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    if (image) form.append('image', new Blob([image], { type: 'image/png' }), 'photo.png');
+    const response = await fetch(`${server.url}/api/gallery`, { method: 'POST', headers, body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+test('gallery uploads are validated and their text HTML-escaped', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+
+    const invalid = await upload(server, headers, { title: 'x'.repeat(101), published: 'maybe' });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details.map(detail => detail.path).sort(), ['published', 'title']);
+
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#c08' } }).png().toBuffer();
+    const created = await upload(server, headers, { title: '<b>Bridal</b>', category: 'braids & twists' }, png);
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    t.after(() => Promise.all(Object.values(created.body.image.image_variants)
+        .map(url => fs.remove(path.join(root, 'uploads', path.basename(url))))));
+
+    assert.strictEqual(created.body.image.title, '&lt;b&gt;Bridal&lt;/b&gt;');
+    assert.strictEqual(created.body.image.category, 'braids &amp; twists');
+});
@@ -0,0 +1,102 @@
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const root = path.join(__dirname, '..', '..');
+const owner = { email: 'owner@example.com', password: 'Passw0rd!23', full_name: 'Owner' };
+
+// Starts server.js on a free port with its own SQLite database, so tests never touch data/.
+// Resolves to { url, output, stop }; output() is everything the server printed so far,
+// including the messages of the console notification transports.
+async function startServer(env = {}) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'beauty-world-test-'));
+    const port = 40000 + Math.floor(Math.random() * 10000);
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: root,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DB_BACKEND: 'sqlite',
+            SQLITE_PATH: path.join(tempDir, 'test.db'),
+            BACKUP_INTERVAL_HOURS: '0',
+            ADMIN_EMAILS: owner.email,
+            NOTIFY_EMAIL_TRANSPORT: 'console',
+            NOTIFY_SMS_TRANSPORT: 'console',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const started = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+    try {
+        await started;
+    } catch (error) {
+        child.kill();
+        await fs.remove(tempDir);
+        throw error;
+    }
+
+    return {
+        url: `http://localhost:${port}`,
+        output: () => output,
+        stop: async () => {
+            child.removeAllListeners('exit');
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill();
+            await exited;
+            await fs.remove(tempDir);
+        }
+    };
+}
+
+// Sends JSON to the server; resolves to { status, body }
+async function request(server, method, url, { body, headers = {} } = {}) {
+    const response = await fetch(server.url + url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        // not JSON
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+}
+
+// Creates the first admin (an owner) and logs in; resolves to headers carrying the session
+async function loginAsOwner(server) {
+    await request(server, 'POST', '/api/admin/create', { body: owner });
+    const response = await request(server, 'POST', '/api/admin/login', { body: { email: owner.email, password: owner.password } });
+    if (response.status !== 200) {
+        throw new Error(`Login failed: ${JSON.stringify(response.body)}`);
+    }
+    return { Cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+// A date a few days ahead that isn't a Sunday, when the salon is closed
+function nextOpenDate() {
+    const date = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+    if (date.getUTCDay() === 0) date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = { root, owner, startServer, request, loginAsOwner, nextOpenDate };
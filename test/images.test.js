@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const images = require('../images');
+const { root, startServer, loginAsOwner } = require('./helpers/server');
+
+test('uploads are turned into WebP variants and the original is removed', async (t) => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'beauty-world-images-'));
+    t.after(() => fs.remove(tempDir));
+    // A JPEG under a .png name is still processed: the content decides, not the name
+    const original = path.join(tempDir, 'photo.png');
+    await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#c08' } }).jpeg().toFile(original);
+
+    const result = await images.process(original);
+    assert.strictEqual(result.ok, true, result.message);
+    assert.deepStrictEqual(result.variants, {
+        thumb: '/uploads/photo-thumb.webp',
+        medium: '/uploads/photo-medium.webp',
+        large: '/uploads/photo-large.webp'
+    });
+    assert.strictEqual(await fs.pathExists(original), false);
+
+    for (const [name, size] of Object.entries(images.VARIANTS)) {
+        const metadata = await sharp(path.join(tempDir, `photo-${name}.webp`)).metadata();
+        assert.strictEqual(metadata.format, 'webp');
+        assert.deepStrictEqual([metadata.width, metadata.height], [size, size / 2]);
+    }
+});
+
+test('a file whose content is not an image is rejected whatever its name', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+    // Other test files may be uploading at the same time, but none of them send a .jpeg
+    const jpegs = async () => (await fs.readdir(path.join(root, 'uploads'))).filter(name => name.endsWith('.jpeg'));
+    const before = await jpegs();
+
+    const form = new FormData();
+    form.append('image', new Blob(['<?php echo "hi"; ?>\n'.repeat(4)], { type: 'image/jpeg' }), 'photo.jpeg');
+    const response = await fetch(`${server.url}/api/upload`, { method: 'POST', headers, body: form });
+
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'File is not a supported image' });
+    // The rejected file is not left behind in uploads/
+    assert.deepStrictEqual(await jpegs(), before);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { body } = require('express-validator');
+
+// In-process against a throwaway SQLite database, so a write can be made to fail part-way
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-import-'));
+Object.assign(process.env, { DB_BACKEND: 'sqlite', SQLITE_PATH: path.join(tempDir, 'test.db') });
+const db = require('../database');
+const createImporters = require('../importers');
+
+const importers = createImporters({
+    requirePermission: () => (req, res, next) => next(),
+    sanitizeInput: value => String(value || ''),
+    serviceValidation: () => [body('name').isLength({ min: 1, max: 100 }).withMessage('Service name required (1-100 chars)')],
+    serviceInput: record => record
+});
+
+const rows = [
+    { name: 'Braids', category: 'hair', price: 5000, lines: [2] },
+    { name: 'Twists', category: 'hair', price: 6000, lines: [3] },
+    { name: 'Locs', category: 'hair', price: 7000, lines: [4] }
+];
+
+function names() {
+    return db.read('services').map(service => service.name).sort();
+}
+
+test.after(() => fs.remove(tempDir));
+test.afterEach(() => db.write('services', []));
+
+test('writes nothing when any record is invalid', async () => {
+    const result = await importers.run('services', [...rows, { category: 'hair', price: 1, lines: [5] }], { mode: 'create', dryRun: false });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.summary.imported, 0);
+    assert.deepStrictEqual(names(), []);
+    assert.ok(result.results.every(item => !item.applied));
+});
+
+test('reports which records were written when a write fails part-way', async () => {
+    const insert = db.insert;
+    db.insert = (table, record) => {
+        if (record.name === 'Twists') throw new Error('disk full');
+        return insert(table, record);
+    };
+    let result;
+    try {
+        result = await importers.run('services', rows, { mode: 'create', dryRun: false });
+    } finally {
+        db.insert = insert;
+    }
+
+    assert.strictEqual(result.ok, false);
+    assert.deepStrictEqual(names(), ['Braids']);
+    assert.deepStrictEqual(result.summary.stopped_at, [3]);
+    assert.strictEqual(result.summary.imported, 1);
+    assert.deepStrictEqual(result.results.map(item => item.applied), [true, false, false]);
+    assert.deepStrictEqual(result.results[1].errors, ['Could not be written: disk full']);
+    assert.deepStrictEqual(result.results[2].errors, ['Not imported because an earlier record failed']);
+});
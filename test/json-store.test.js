@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Asking for a minute must still not block the event loop for more than a second
+process.env.DB_LOCK_TIMEOUT_MS = '60000';
+const createJsonStore = require('../storage/json-store');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-json-store-'));
+test.after(() => fs.remove(tempDir));
+
+test('a write gives up on a lock held elsewhere within a second', () => {
+    const store = createJsonStore({ dir: tempDir, tables: ['products'] });
+    // As another process holding the lock would leave it
+    fs.writeFileSync(path.join(tempDir, 'products.json.lock'), '');
+
+    const started = Date.now();
+    assert.throws(() => store.insert('products', { name: 'Bob wig' }), /Timed out waiting for the products table lock/);
+    assert.ok(Date.now() - started < 1500, `blocked for ${Date.now() - started}ms`);
+
+    fs.removeSync(path.join(tempDir, 'products.json.lock'));
+    assert.strictEqual(store.insert('products', { name: 'Bob wig' }).name, 'Bob wig');
+});
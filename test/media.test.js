@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-media-'));
+Object.assign(process.env, { DB_BACKEND: 'sqlite', SQLITE_PATH: path.join(tempDir, 'test.db') });
+const db = require('../database');
+const media = require('../media');
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+const HOUR = 60 * 60 * 1000;
+const written = [];
+
+test.before(async () => {
+    // cleanup() looks at all of uploads/, so the files already there are given a record
+    // pointing at them and are never candidates
+    const existing = await fs.readdir(uploadsDir);
+    existing.forEach(name => db.insert('gallery', { title: name, image_url: `/uploads/${name}`, published: true }));
+});
+test.after(async () => {
+    await Promise.all(written.map(file => fs.remove(file)));
+    await fs.remove(tempDir);
+});
+
+// Writes a file to uploads/ that was last referenced hoursAgo
+async function upload(hoursAgo) {
+    const name = `test-media-${crypto.randomBytes(6).toString('hex')}.mp4`;
+    const file = path.join(uploadsDir, name);
+    written.push(file);
+    await fs.outputFile(file, crypto.randomBytes(64));
+    const item = media.register({ kind: 'video', url: `/uploads/${name}` });
+    db.update('media', item.id, { unreferenced_since: new Date(Date.now() - hoursAgo * HOUR).toISOString() });
+    return { url: `/uploads/${name}`, file };
+}
+
+test('cleanup only removes files unreferenced for longer than the grace period', async () => {
+    const fresh = await upload(1);
+    const stale = await upload(30);
+    const used = await upload(30);
+    db.insert('videos', { title: 'Silk press', video_url: used.url, published: true });
+
+    const preview = await media.cleanup({ dryRun: true, graceHours: 24 });
+    assert.deepStrictEqual(preview.orphans.map(item => item.url), [stale.url]);
+    assert.strictEqual(await fs.pathExists(stale.file), true);
+
+    const result = await media.cleanup({ dryRun: false, graceHours: 24 });
+    assert.deepStrictEqual(result.orphans.map(item => item.url), [stale.url]);
+    assert.strictEqual(await fs.pathExists(stale.file), false);
+    assert.strictEqual(await fs.pathExists(fresh.file), true);
+    assert.strictEqual(await fs.pathExists(used.file), true);
+    assert.ok(!db.read('media').some(item => item.url === stale.url));
+});
+
+test('a file dropped by its record waits out the grace period from that moment', async () => {
+    const video = await upload(30);
+    const record = db.insert('videos', { title: 'Braids', video_url: video.url, published: true });
+    db.delete('videos', record.id);
+
+    const result = await media.cleanup({ dryRun: false, graceHours: 24 });
+    assert.ok(!result.orphans.some(item => item.url === video.url));
+    assert.strictEqual(await fs.pathExists(video.file), true);
+});
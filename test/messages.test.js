@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, loginAsOwner } = require('./helpers/server');
+
+test('replies are emailed as plain text, as they were typed', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+
+    const sent = await request(server, 'POST', '/api/messages', {
+        body: { name: "O'Neil", email: 'oneil@example.com', message: 'Is <24h> notice OK & free?' }
+    });
+    assert.strictEqual(sent.status, 200, JSON.stringify(sent.body));
+    const inbox = await request(server, 'GET', '/api/messages', { headers });
+    const message = inbox.body.items[0];
+    // Stored escaped, for the admin UI
+    assert.strictEqual(message.message, 'Is &lt;24h&gt; notice OK &amp; free?');
+
+    const replied = await request(server, 'POST', `/api/messages/${message.id}/reply`, {
+        headers,
+        body: { subject: "Re: Don't worry", text: "Don't worry, <24h> is fine & free." }
+    });
+    assert.strictEqual(replied.status, 200, JSON.stringify(replied.body));
+
+    const outbox = await request(server, 'GET', '/api/notifications?event=message.reply', { headers });
+    const [email] = outbox.body.items;
+    assert.strictEqual(email.subject, "Re: Don't worry");
+    assert.ok(email.body.includes("Don't worry, <24h> is fine & free."), email.body);
+    assert.ok(email.body.includes('Is <24h> notice OK & free?'), email.body);
+    assert.ok(email.body.includes("O'Neil"), email.body);
+});
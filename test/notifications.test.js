@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-notifications-'));
+Object.assign(process.env, {
+    DB_BACKEND: 'sqlite',
+    SQLITE_PATH: path.join(tempDir, 'test.db'),
+    NOTIFY_EMAIL_TRANSPORT: 'console'
+});
+const db = require('../database');
+const notifications = require('../notifications');
+
+test.after(() => fs.remove(tempDir));
+
+function outbox(fields) {
+    return db.insert('notifications', {
+        event: 'booking.created',
+        channel: 'email',
+        transport: 'console',
+        recipient: 'ada@example.com',
+        subject: 'Booking received',
+        body: 'See you soon',
+        attempts: 1,
+        redacted: false,
+        ...fields
+    });
+}
+
+test('only failed or queued messages are re-sent', async (t) => {
+    const sent = [];
+    t.mock.method(notifications.transports, 'console', async (message) => {
+        sent.push(message.to);
+        return {};
+    });
+
+    for (const status of ['failed', 'queued']) {
+        const record = outbox({ status, recipient: `${status}@example.com` });
+        const result = await notifications.retry(record.id);
+        assert.strictEqual(result.ok, true, result.message);
+        assert.strictEqual(result.notification.status, 'sent');
+        assert.strictEqual(result.notification.attempts, 2);
+    }
+    assert.deepStrictEqual(sent, ['failed@example.com', 'queued@example.com']);
+
+    const delivered = outbox({ status: 'sent', recipient: 'sent@example.com' });
+    const again = await notifications.retry(delivered.id);
+    assert.deepStrictEqual(again, { ok: false, status: 409, message: 'Only failed or queued messages can be re-sent, this one is sent' });
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(db.findById('notifications', delivered.id).attempts, 1);
+});
+
+test('messages with a one-time link are not re-sent', async () => {
+    const record = outbox({ status: 'failed', redacted: true });
+    const result = await notifications.retry(record.id);
+    assert.deepStrictEqual(result, { ok: false, status: 409, message: 'This message contained a one-time link and cannot be re-sent' });
+    assert.strictEqual(db.findById('notifications', record.id).status, 'failed');
+});
+
+test('retrying an unknown message is a 404', async () => {
+    assert.deepStrictEqual(await notifications.retry(9999), { ok: false, status: 404, message: 'Notification not found' });
+});
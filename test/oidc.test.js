@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// A locally generated key set stands in for the provider's JWKS, and a throwaway SQLite
+// database for data/; both have to be in place before the modules are loaded
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-oidc-'));
+const ISSUER = 'https://login.example.com/';
+const AUDIENCE = 'test-client';
+const KID = 'test-key';
+
+function keySet() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' } };
+}
+
+const trusted = keySet();
+const untrusted = keySet();
+const jwksFile = path.join(tempDir, 'jwks.json');
+fs.writeJsonSync(jwksFile, { keys: [trusted.jwk] });
+
+Object.assign(process.env, {
+    DB_BACKEND: 'sqlite',
+    SQLITE_PATH: path.join(tempDir, 'test.db'),
+    OIDC_ISSUER: ISSUER,
+    OIDC_AUDIENCE: AUDIENCE,
+    OIDC_JWKS_FILE: jwksFile,
+    ADMIN_EMAILS: 'owner@example.com'
+});
+const oidc = require('../oidc');
+
+function sign(overrides = {}, privateKey = trusted.privateKey) {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        iss: ISSUER,
+        aud: AUDIENCE,
+        sub: 'test|1',
+        email: 'owner@example.com',
+        email_verified: true,
+        iat: now,
+        exp: now + 3600,
+        ...overrides
+    };
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: KID })}.${encode(claims)}`;
+    return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+test.after(() => fs.remove(tempDir));
+
+test('accepts a token signed with the trusted key', async () => {
+    const result = await oidc.verifyIdToken(sign());
+    assert.strictEqual(result.ok, true, result.message);
+    assert.strictEqual(result.claims.email, 'owner@example.com');
+});
+
+test('rejects a token from another issuer', async () => {
+    const result = await oidc.verifyIdToken(sign({ iss: 'https://evil.example.com/' }));
+    assert.deepStrictEqual(result, { ok: false, status: 401, message: 'Token issuer is not trusted' });
+});
+
+test('rejects a token for another audience', async () => {
+    const result = await oidc.verifyIdToken(sign({ aud: 'another-client' }));
+    assert.deepStrictEqual(result, { ok: false, status: 401, message: 'Token was issued for another application' });
+});
+
+test('rejects an expired token', async () => {
+    const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+    const result = await oidc.verifyIdToken(sign({ iat: hourAgo - 3600, exp: hourAgo }));
+    assert.deepStrictEqual(result, { ok: false, status: 401, message: 'Token has expired' });
+});
+
+test('rejects a bad signature', async () => {
+    const forged = await oidc.verifyIdToken(sign({}, untrusted.privateKey));
+    assert.deepStrictEqual(forged, { ok: false, status: 401, message: 'Token signature is invalid' });
+
+    const [header, payload, signature] = sign().split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    const altered = Buffer.from(JSON.stringify({ ...claims, email: 'intruder@example.com' })).toString('base64url');
+    const tampered = await oidc.verifyIdToken(`${header}.${altered}.${signature}`);
+    assert.deepStrictEqual(tampered, { ok: false, status: 401, message: 'Token signature is invalid' });
+});
+
+test('only creates admins for emails on the allowlist', async () => {
+    const stranger = await oidc.login(sign({ sub: 'test|2', email: 'stranger@example.com' }));
+    assert.deepStrictEqual(stranger, { ok: false, status: 403, message: 'This account is not allowed to access the admin panel' });
+
+    const allowed = await oidc.login(sign());
+    assert.strictEqual(allowed.ok, true, allowed.message);
+    assert.strictEqual(allowed.created, true);
+    assert.strictEqual(allowed.admin.email, 'owner@example.com');
+});
+
+test('is off until an issuer and audience are configured', async () => {
+    const { issuer } = oidc.config;
+    oidc.config.issuer = '';
+    try {
+        const result = await oidc.verifyIdToken(sign());
+        assert.strictEqual(result.status, 503);
+    } finally {
+        oidc.config.issuer = issuer;
+    }
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, loginAsOwner } = require('./helpers/server');
+
+test('unpublished products cannot be ordered', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+
+    const category = await request(server, 'POST', '/api/product-categories', { headers, body: { slug: 'wigs', name: 'Wigs' } });
+    assert.strictEqual(category.status, 200, JSON.stringify(category.body));
+    const created = await request(server, 'POST', '/api/products', {
+        headers,
+        body: { name: 'Bob wig', category: 'wigs', sku: 'BOB-1', price: 30000, stock: 5, published: false }
+    });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    const { product } = created.body;
+
+    const order = await request(server, 'POST', '/api/orders', {
+        body: {
+            customer_name: 'Ada',
+            customer_phone: '08167559196',
+            items: [{ product_id: product.id, sku: 'BOB-1', quantity: 1 }]
+        }
+    });
+    assert.strictEqual(order.status, 409, JSON.stringify(order.body));
+    assert.deepStrictEqual(order.body.problems, [{ product_id: product.id, sku: 'BOB-1', problem: 'not_found' }]);
+});
+
+test('the WhatsApp message reads as typed, not HTML-escaped', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+
+    await request(server, 'POST', '/api/product-categories', { headers, body: { slug: 'wigs', name: 'Wigs' } });
+    const created = await request(server, 'POST', '/api/products', {
+        headers,
+        body: { name: 'Curls & Waves', category: 'wigs', sku: 'CW-1', price: 30000, stock: 5 }
+    });
+    const order = await request(server, 'POST', '/api/orders', {
+        body: {
+            customer_name: 'O\'Neil',
+            customer_phone: '08167559196',
+            notes: 'Gift wrap "please"',
+            items: [{ product_id: created.body.product.id, sku: 'CW-1', quantity: 1 }]
+        }
+    });
+    assert.strictEqual(order.status, 200, JSON.stringify(order.body));
+
+    const text = new URL(order.body.whatsapp_url).searchParams.get('text');
+    assert.ok(text.includes('- Curls & Waves x1'), text);
+    assert.ok(text.includes('Name: O\'Neil'), text);
+    assert.ok(text.includes('Notes: Gift wrap "please"'), text);
+});
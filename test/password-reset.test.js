@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { owner, startServer, request, loginAsOwner } = require('./helpers/server');
+
+// The reset links the server has emailed so far (printed by the console transport)
+function resetTokens(server) {
+    return [...server.output().matchAll(/reset\.html\?token=([\w-]+)/g)].map(match => match[1]);
+}
+
+async function requestReset(server) {
+    const response = await request(server, 'POST', '/api/admin/password-reset/request', { body: { email: owner.email } });
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    // Give the console transport time to print the email
+    await new Promise(resolve => setTimeout(resolve, 200));
+}
+
+test('a reset token works once and signs out existing sessions', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const session = await loginAsOwner(server);
+
+    await requestReset(server);
+    const [token] = resetTokens(server);
+    assert.ok(token, server.output());
+
+    const confirmed = await request(server, 'POST', '/api/admin/password-reset/confirm', { body: { token, password: 'New-passw0rd' } });
+    assert.strictEqual(confirmed.status, 200, JSON.stringify(confirmed.body));
+
+    const again = await request(server, 'POST', '/api/admin/password-reset/confirm', { body: { token, password: 'Other-passw0rd' } });
+    assert.strictEqual(again.status, 400);
+
+    const me = await request(server, 'GET', '/api/admin/me', { headers: session });
+    assert.strictEqual(me.status, 401);
+
+    const login = await request(server, 'POST', '/api/admin/login', { body: { email: owner.email, password: 'New-passw0rd' } });
+    assert.strictEqual(login.status, 200, JSON.stringify(login.body));
+});
+
+test('reset emails are capped per admin per hour', async (t) => {
+    const server = await startServer({ MAX_RESET_REQUESTS: '50', PASSWORD_RESET_MAX_PER_HOUR: '2' });
+    t.after(server.stop);
+    await loginAsOwner(server);
+
+    for (let i = 0; i < 4; i++) {
+        await requestReset(server);
+    }
+    assert.strictEqual(resetTokens(server).length, 2);
+});
+
+test('a reset token expires after the TTL', async (t) => {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'beauty-world-reset-'));
+    Object.assign(process.env, { DB_BACKEND: 'sqlite', SQLITE_PATH: path.join(tempDir, 'test.db') });
+    t.after(() => fs.remove(tempDir));
+    const db = require('../database');
+    const notifications = require('../notifications');
+    const passwordReset = require('../password-reset');
+
+    let link = null;
+    t.mock.method(notifications, 'notify', async (event, data) => {
+        if (event === 'admin.password_reset') link = data.reset_link;
+    });
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-03T10:00:00Z') });
+    db.insert('admins', { email: owner.email, password: 'hash', full_name: 'Owner', role: 'owner' });
+
+    await passwordReset.request(owner.email);
+    const token = new URL(link, 'http://localhost').searchParams.get('token');
+    assert.ok(token);
+    assert.strictEqual(db.read('password_resets')[0].expires_at, new Date(Date.now() + passwordReset.config.ttlMinutes * 60 * 1000).toISOString());
+
+    t.mock.timers.tick((passwordReset.config.ttlMinutes + 1) * 60 * 1000);
+    const result = passwordReset.confirm(token, 'New-passw0rd');
+    assert.deepStrictEqual(result, { ok: false, status: 400, message: 'This reset link is invalid or has expired' });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const noProvider = { PAYMENT_PROVIDER: '', PAYSTACK_SECRET_KEY: '', FLW_SECRET_KEY: '' };
+
+test('the mock provider is off unless PAYMENT_PROVIDER=mock is set', async (t) => {
+    const server = await startServer(noProvider);
+    t.after(server.stop);
+
+    const checkout = await fetch(`${server.url}/api/payments/mock/DBW-BKG-1-abcd`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ outcome: 'success' })
+    });
+    assert.strictEqual(checkout.status, 404);
+
+    const webhook = await fetch(`${server.url}/api/payments/webhook/mock`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: 'evt', event: 'payment.completed', data: { reference: 'DBW-BKG-1-abcd', status: 'success' } })
+    });
+    assert.strictEqual(webhook.status, 404);
+});
+
+test('the mock provider is refused in production', async () => {
+    await assert.rejects(
+        startServer({ ...noProvider, PAYMENT_PROVIDER: 'mock', NODE_ENV: 'production' }),
+        /cannot be used when NODE_ENV=production/
+    );
+});
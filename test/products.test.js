@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, loginAsOwner } = require('./helpers/server');
+
+test('product edits are HTML-escaped like new products', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+
+    await request(server, 'POST', '/api/product-categories', { headers, body: { slug: 'wigs', name: 'Wigs' } });
+    const created = await request(server, 'POST', '/api/products', { headers, body: { name: 'Bob wig', category: 'wigs', sku: 'BOB-1', price: 30000 } });
+    const updated = await request(server, 'PUT', `/api/products/${created.body.product.id}`, {
+        headers,
+        body: { name: '<img src=x onerror=alert(1)>', description: '"Soft" & light', category: 'wigs', price: 30000 }
+    });
+    assert.strictEqual(updated.status, 200, JSON.stringify(updated.body));
+    assert.strictEqual(updated.body.product.name, '&lt;img src=x onerror=alert(1)&gt;');
+    assert.strictEqual(updated.body.product.description, '&quot;Soft&quot; &amp; light');
+});
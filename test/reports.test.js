@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'beauty-world-reports-'));
+Object.assign(process.env, { DB_BACKEND: 'sqlite', SQLITE_PATH: path.join(tempDir, 'test.db'), BUSINESS_UTC_OFFSET: '+01:00' });
+const db = require('../database');
+const reports = require('../reports');
+
+test.after(() => fs.remove(tempDir));
+
+function booking(fields) {
+    return db.insert('bookings', {
+        service_id: 'braids',
+        service_name: 'Braids',
+        customer_name: 'Ada',
+        booking_time: '10:00',
+        price_snapshot: { price: 15000 },
+        amount_paid: 0,
+        ...fields
+    });
+}
+
+// 2026-03-01 is a Sunday
+const march = { from: '2026-03-01', to: '2026-03-31' };
+
+test.before(() => {
+    booking({ booking_date: '2026-03-01', status: 'completed' });
+    booking({ booking_date: '2026-03-02', status: 'cancelled' });
+    booking({ booking_date: '2026-03-03', status: 'no-show' });
+    booking({ booking_date: '2026-03-03', status: 'pending', service_id: 'wig', service_name: 'Wig installation' });
+    // Outside the range
+    booking({ booking_date: '2026-04-01', status: 'completed' });
+});
+
+test('a completed booking shows up in revenue by service', () => {
+    const result = reports.run('revenue-by-service', march);
+    assert.deepStrictEqual(result.rows, [
+        { service_id: 'braids', service_name: 'Braids', completed_bookings: 1, revenue: 15000, average: 15000 }
+    ]);
+    assert.deepStrictEqual(result.summary, { revenue: 15000 });
+});
+
+test('conversion counts every status against all bookings in the range', () => {
+    const result = reports.run('conversion', march);
+    assert.deepStrictEqual(result.summary, { bookings: 4, conversion_rate: 25, cancellation_rate: 25, no_show_rate: 25 });
+    assert.deepStrictEqual(result.rows.find(row => row.status === 'pending'), { status: 'pending', bookings: 1, percent: 25 });
+});
+
+test('weekdays run Monday to Sunday and leave out cancellations', () => {
+    const { rows } = reports.run('bookings-by-weekday', march);
+    assert.deepStrictEqual(rows.map(row => row.weekday), ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday']);
+    assert.deepStrictEqual(rows[0], { weekday: 'Monday', bookings: 0, completed: 0 });
+    assert.deepStrictEqual(rows[1], { weekday: 'Tuesday', bookings: 2, completed: 0 });
+    assert.deepStrictEqual(rows[6], { weekday: 'Sunday', bookings: 1, completed: 1 });
+});
+
+test('orders count on the salon-local day they were placed', (t) => {
+    // Placed at 00:30 on 1 April in the salon
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-31T23:30:00Z') });
+    db.insert('orders', {
+        status: 'paid',
+        total: 30000,
+        items: [{ product_id: 1, name: 'Bob wig', quantity: 1, line_total: 30000 }]
+    });
+    t.mock.timers.reset();
+
+    assert.deepStrictEqual(reports.run('top-products', march).rows, []);
+    assert.deepStrictEqual(reports.run('top-products', { from: '2026-04-01', to: '2026-04-30' }).rows, [
+        { product_id: 1, name: 'Bob wig', units: 1, orders: 1, revenue: 30000 }
+    ]);
+    const months = reports.run('revenue-by-month').rows;
+    assert.deepStrictEqual(months.find(row => row.month === '2026-04'), { month: '2026-04', service_revenue: 15000, product_revenue: 30000, total: 45000 });
+    assert.strictEqual(months.find(row => row.month === '2026-03').product_revenue, 0);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, loginAsOwner } = require('./helpers/server');
+
+// Adds a staff account with the owner's session and signs in as it
+async function loginAs(server, ownerHeaders, role) {
+    const account = { email: `${role}@example.com`, password: `${role}-password`, full_name: role, role };
+    const created = await request(server, 'POST', '/api/admin/create', { headers: ownerHeaders, body: account });
+    assert.strictEqual(created.status, 200, JSON.stringify(created.body));
+    const response = await request(server, 'POST', '/api/admin/login', { body: { email: account.email, password: account.password } });
+    assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+    return { Cookie: response.headers.get('set-cookie').split(';')[0] };
+}
+
+test('admin routes answer 401 signed out and 403 without the permission', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const sessions = { owner: await loginAsOwner(server) };
+    sessions.manager = await loginAs(server, sessions.owner, 'manager');
+    sessions.stylist = await loginAs(server, sessions.owner, 'stylist');
+    sessions['signed out'] = {};
+
+    const category = await request(server, 'POST', '/api/product-categories', { headers: sessions.owner, body: { slug: 'wigs', name: 'Wigs' } });
+    assert.strictEqual(category.status, 200, JSON.stringify(category.body));
+
+    const product = (who) => ({ name: 'Bob wig', category: 'wigs', sku: `BOB-${who.replace(' ', '-')}`, price: 30000 });
+    const routes = [
+        { name: 'products:write', call: who => request(server, 'POST', '/api/products', { headers: sessions[who], body: product(who) }),
+            expected: { owner: 200, manager: 200, stylist: 403, 'signed out': 401 } },
+        { name: 'bookings:read', call: who => request(server, 'GET', '/api/bookings', { headers: sessions[who] }),
+            expected: { owner: 200, manager: 200, stylist: 200, 'signed out': 401 } },
+        { name: 'audit:read', call: who => request(server, 'GET', '/api/audit', { headers: sessions[who] }),
+            expected: { owner: 200, manager: 403, stylist: 403, 'signed out': 401 } },
+        { name: 'backups:manage', call: who => request(server, 'GET', '/api/backups', { headers: sessions[who] }),
+            expected: { owner: 200, manager: 403, stylist: 403, 'signed out': 401 } },
+        // Last, since the owner's call empties the table
+        { name: 'bookings:delete', call: who => request(server, 'DELETE', '/api/bookings/all', { headers: sessions[who] }),
+            expected: { 'signed out': 401, stylist: 403, manager: 403, owner: 200 } }
+    ];
+
+    for (const route of routes) {
+        for (const [who, status] of Object.entries(route.expected)) {
+            const response = await route.call(who);
+            assert.strictEqual(response.status, status, `${route.name} as ${who}: ${JSON.stringify(response.body)}`);
+        }
+    }
+});
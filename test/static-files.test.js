@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs-extra');
+const backup = require('../backup');
+const { root, startServer } = require('./helpers/server');
+
+test('only pages, the admin UI and uploads are served as static files', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+
+    // An archive in the default backup directory, which sits under the site root
+    const archive = path.join(backup.config.dir, 'backup-2026-01-01T00-00-00-000Z-scheduled.tar.gz');
+    const createdDir = !(await fs.pathExists(backup.config.dir));
+    await fs.outputFile(archive, 'not a real archive');
+    t.after(() => (createdDir ? fs.remove(backup.config.dir) : fs.remove(archive)));
+
+    for (const url of [`/backups/${path.basename(archive)}`, '/data/admins.json', '/server.js', '/package.json', '/.env']) {
+        const response = await fetch(server.url + url);
+        assert.strictEqual(response.status, 404, `${url} should not be served`);
+    }
+
+    for (const url of ['/index.html', '/booking.html', '/admin/login.html', '/admin/config.js']) {
+        const response = await fetch(server.url + url);
+        assert.strictEqual(response.status, 200, `${url} should be served`);
+    }
+
+    assert.ok(backup.config.dir.startsWith(root));
+});
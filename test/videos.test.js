@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const videoProcessing = require('../video-processing');
+const { root, startServer, loginAsOwner } = require('./helpers/server');
+
+test('parseRange reads byte ranges and clamps them to the file', () => {
+    const { parseRange } = videoProcessing;
+    assert.strictEqual(parseRange(undefined, 1000), null);
+    assert.strictEqual(parseRange('bytes=abc', 1000), null);
+    assert.deepStrictEqual(parseRange('bytes=100-199', 1000), { start: 100, end: 199 });
+    assert.deepStrictEqual(parseRange('bytes=900-', 1000), { start: 900, end: 999 });
+    assert.deepStrictEqual(parseRange('bytes=-100', 1000), { start: 900, end: 999 });
+    assert.deepStrictEqual(parseRange('bytes=500-5000', 1000), { start: 500, end: 999 });
+    // Of several ranges only the first is served
+    assert.deepStrictEqual(parseRange('bytes=0-1,5-9', 1000), { start: 0, end: 1 });
+    assert.deepStrictEqual(parseRange('bytes=1000-', 1000), { unsatisfiable: true });
+});
+
+test('videos stream the requested byte range', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const headers = await loginAsOwner(server);
+
+    // Only the header has to look like an MP4; without ffprobe the rest is not read
+    const content = Buffer.concat([
+        Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom'), Buffer.alloc(12),
+        crypto.randomBytes(4000)
+    ]);
+    const form = new FormData();
+    form.append('title', 'Silk press');
+    form.append('video', new Blob([content], { type: 'video/mp4' }), 'silk-press.mp4');
+    const uploaded = await fetch(`${server.url}/api/videos`, { method: 'POST', headers, body: form });
+    const { video } = await uploaded.json();
+    assert.strictEqual(uploaded.status, 200, JSON.stringify(video));
+    t.after(() => fs.remove(path.join(root, 'uploads', path.basename(video.video_url))));
+
+    const stream = (range) => fetch(`${server.url}/api/videos/${video.id}/stream`, { headers: range ? { Range: range } : {} });
+
+    const whole = await stream();
+    assert.strictEqual(whole.status, 200);
+    assert.strictEqual(whole.headers.get('accept-ranges'), 'bytes');
+    assert.deepStrictEqual(Buffer.from(await whole.arrayBuffer()), content);
+
+    const part = await stream('bytes=100-1099');
+    assert.strictEqual(part.status, 206);
+    assert.strictEqual(part.headers.get('content-range'), `bytes 100-1099/${content.length}`);
+    assert.strictEqual(part.headers.get('content-type'), 'video/mp4');
+    assert.deepStrictEqual(Buffer.from(await part.arrayBuffer()), content.subarray(100, 1100));
+
+    const tail = await stream('bytes=-500');
+    assert.strictEqual(tail.status, 206);
+    assert.deepStrictEqual(Buffer.from(await tail.arrayBuffer()), content.subarray(content.length - 500));
+
+    const beyond = await stream(`bytes=${content.length}-`);
+    assert.strictEqual(beyond.status, 416);
+    assert.strictEqual(beyond.headers.get('content-range'), `bytes */${content.length}`);
+});
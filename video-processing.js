@@ -0,0 +1,210 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const fileSignatures = require('./file-signatures');
+const images = require('./images');
+
+// ffprobe/ffmpeg are used when installed; otherwise MP4 metadata is read in JS and
+// the poster comes from an uploaded "poster" image, if any
+const config = {
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+    posterAtSeconds: parseFloat(process.env.VIDEO_POSTER_AT_SECONDS) || 1,
+    toolTimeoutMs: 60 * 1000
+};
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: config.toolTimeoutMs, maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+            if (error) return reject(error);
+            resolve(stdout);
+        });
+    });
+}
+
+async function probeWithFfprobe(filePath) {
+    const output = await run(config.ffprobePath, [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath
+    ]);
+    const data = JSON.parse(output);
+    const stream = (data.streams || []).find(item => item.codec_type === 'video') || {};
+    const duration = parseFloat((data.format || {}).duration || stream.duration);
+    return {
+        duration_seconds: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : null,
+        width: stream.width || null,
+        height: stream.height || null,
+        metadata_source: 'ffprobe'
+    };
+}
+
+// A moov box this large isn't a normal upload; don't read it into memory
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+// Minimal ISO-BMFF reader: duration from moov/mvhd, size from the video track's tkhd
+function readBoxes(buffer, start = 0, end = buffer.length) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        boxes.push({ type, start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+function child(buffer, box, type) {
+    return readBoxes(buffer, box.start, box.end).find(item => item.type === type) || null;
+}
+
+// Finds the top-level moov box without loading the (possibly huge) mdat into memory
+async function readMoov(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size: fileSize } = await handle.stat();
+        const header = Buffer.alloc(16);
+        let offset = 0;
+        while (offset + 8 <= fileSize) {
+            await handle.read(header, 0, 16, offset);
+            let size = header.readUInt32BE(0);
+            const type = header.toString('latin1', 4, 8);
+            if (size === 1) size = Number(header.readBigUInt64BE(8));
+            if (size === 0) size = fileSize - offset;
+            if (size < 8) return null;
+            if (type === 'moov') {
+                if (size > MAX_MOOV_BYTES) return null;
+                const moov = Buffer.alloc(size);
+                await handle.read(moov, 0, size, offset);
+                return moov;
+            }
+            offset += size;
+        }
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function probeMp4(filePath) {
+    const buffer = await readMoov(filePath);
+    if (!buffer) return null;
+
+    const moov = readBoxes(buffer)[0];
+    const mvhd = child(buffer, moov, 'mvhd');
+    let duration = null;
+    if (mvhd) {
+        const version = buffer[mvhd.start];
+        const timescale = version === 1 ? buffer.readUInt32BE(mvhd.start + 20) : buffer.readUInt32BE(mvhd.start + 12);
+        const units = version === 1 ? Number(buffer.readBigUInt64BE(mvhd.start + 24)) : buffer.readUInt32BE(mvhd.start + 16);
+        if (timescale) duration = Math.round(units / timescale * 100) / 100;
+    }
+
+    let width = null;
+    let height = null;
+    readBoxes(buffer, moov.start, moov.end).filter(box => box.type === 'trak').some(trak => {
+        const mdia = child(buffer, trak, 'mdia');
+        const hdlr = mdia && child(buffer, mdia, 'hdlr');
+        if (!hdlr || buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12) !== 'vide') return false;
+        const tkhd = child(buffer, trak, 'tkhd');
+        if (!tkhd) return false;
+        // Width and height are the last two 16.16 fixed-point fields of tkhd
+        width = Math.round(buffer.readUInt32BE(tkhd.end - 8) / 65536) || null;
+        height = Math.round(buffer.readUInt32BE(tkhd.end - 4) / 65536) || null;
+        return true;
+    });
+
+    return { duration_seconds: duration, width, height, metadata_source: 'mp4' };
+}
+
+async function extractPoster(filePath, duration) {
+    const at = duration && duration <= config.posterAtSeconds ? 0 : config.posterAtSeconds;
+    const frame = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}-poster.jpg`);
+    await run(config.ffmpegPath, ['-v', 'error', '-ss', String(at), '-i', filePath, '-frames:v', '1', '-y', frame]);
+    // Turns the frame into WebP poster variants and removes the JPEG
+    const result = await images.process(frame);
+    return result.ok ? result : null;
+}
+
+const videoProcessing = {
+    config,
+
+    // Checks the upload is really a video and gathers duration, resolution and a poster.
+    // posterPath is an optional uploaded poster image (the only poster source without ffmpeg).
+    // Returns { ok: true, metadata } or { ok: false, status, message }
+    analyze: async (filePath, { posterPath } = {}) => {
+        const type = await fileSignatures.detectFile(filePath);
+        if (!type || type.kind !== 'video') {
+            await fs.remove(filePath);
+            if (posterPath) await fs.remove(posterPath);
+            return { ok: false, status: 400, message: 'File is not a supported video' };
+        }
+
+        let info = null;
+        try {
+            info = await probeWithFfprobe(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('ffprobe failed:', error.message);
+            info = type.ext === 'mp4' || type.ext === 'mov' ? await probeMp4(filePath).catch(() => null) : null;
+        }
+        info = info || { duration_seconds: null, width: null, height: null, metadata_source: null };
+
+        // A poster chosen by the admin wins over a frame grabbed by ffmpeg
+        let poster = null;
+        if (posterPath) {
+            const uploaded = await images.process(posterPath);
+            if (uploaded.ok) poster = uploaded;
+        }
+        if (!poster) {
+            try {
+                poster = await extractPoster(filePath, info.duration_seconds);
+            } catch (error) {
+                if (error.code !== 'ENOENT') console.error('ffmpeg poster extraction failed:', error.message);
+            }
+        }
+
+        return {
+            ok: true,
+            metadata: {
+                mime_type: type.mime,
+                duration_seconds: info.duration_seconds,
+                width: info.width,
+                height: info.height,
+                metadata_source: info.metadata_source,
+                thumbnail_url: poster ? poster.url : '',
+                thumbnail_variants: poster ? poster.variants : null
+            }
+        };
+    },
+
+    // Parses a Range header for a file of the given size.
+    // Returns null (send everything), { start, end } or { unsatisfiable: true }
+    parseRange: (header, size) => {
+        const match = /^bytes=(\d*)-(\d*)(?:,|$)/.exec(header || '');
+        // Malformed or non-byte ranges are ignored, as RFC 9110 allows
+        if (!match || (match[1] === '' && match[2] === '')) return null;
+
+        let start;
+        let end;
+        if (match[1] === '') {
+            // Suffix range: the last N bytes
+            start = Math.max(size - parseInt(match[2]), 0);
+            end = size - 1;
+        } else {
+            start = parseInt(match[1]);
+            end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+        }
+
+        if (size === 0 || start >= size || start > end) return { unsatisfiable: true };
+        return { start, end };
+    }
+};
+
+module.exports = videoProcessing;